@@ -2,11 +2,153 @@
  * Plugin options for metalsmith-menu-plus
  * @typedef {Object} Options
  * @property {string} [metadataKey='navigation'] - The key to use in the Metalsmith metadata
- * @property {Function|null} [sortBy=null] - Function to sort navigation items at the same level
+ * @property {string} [fileKey='navigation'] - Key of the object each page's navigation outputs are written to
+ * @property {string} [urlKey='urlPath'] - Key each page's URL path is written to
+ * @property {FileOutputs} [fileOutputs={}] - Per-file outputs to turn off
+ * @property {'overwrite'|'preserve'|'error'} [onCollision='overwrite'] - What to do with a per-file output that is
+ *   already set when the plugin writes it
+ * @property {string|Array<string>} [pattern='**\/*.html'] - Glob pattern(s) selecting the pages in the build
+ * @property {Object<string, string>} [extensionMap={}] - Extension each source extension is published with,
+ *   `.html` for any extension not listed
+ * @property {SortRule|Object<string, SortRule>|null} [sortBy=null] - How to sort items at the same level, or a
+ *   map from parent path ('/' for the top level, '*' for the rest) to a rule
+ * @property {string} [sortLocale] - Locale for comparing strings in declarative sorts
  * @property {boolean} [usePermalinks=false] - Whether to use permalink-style URLs
- * @property {Array<string|RegExp|Function>} [navExcludePatterns=[]] - Patterns to exclude files from navigation
+ * @property {string} [basePath='/'] - Path the site is served from, added to every emitted URL path
+ * @property {Array<NavRule>} [navExcludePatterns=[]] - Rules that exclude files from navigation
+ * @property {Array<NavRule>} [navIncludePatterns=[]] - Rules of which a file must match one to be in the navigation,
+ *   when any are set
  * @property {Object<string, number>} [navIndex={}] - Object mapping page paths to numeric index values
  * @property {string} [rootPath='/'] - The root path to start building navigation from
+ * @property {number|null} [maxDepth=null] - Number of levels to keep in the metadata navigation, unlimited when null
+ * @property {Object<string, MenuOptions>} [menus={}] - Additional named menus built from the same pass
+ * @property {boolean} [activeTrail=false] - Add a per-page copy of the navigation with active-state flags
+ * @property {boolean|LocalNavigationOptions} [localNavigation=false] - Add the page's own section of the
+ *   navigation to each file
+ * @property {false|'section'|'tree'} [prevNext=false] - Add previous/next links to each file, within its
+ *   top-level section or across the whole tree
+ * @property {'link'|'link-first-child'|'no-link'|'hoist-children'|'omit'} [missingIndex='link'] - How to handle
+ *   directories without an index page
+ * @property {TitleStep|Array<TitleStep>|null} [titleFallback=null] - How to turn file and folder names into titles
+ *   when a page sets no title
+ * @property {boolean|{stripFromUrl?: boolean}} [numericPrefixes=false] - Order by numeric filename prefixes
+ *   such as `01-`, and drop them from titles (and optionally URLs)
+ * @property {Array<string>|Function|null} [fields=null] - Frontmatter fields to copy onto navigation items, or a
+ *   function `(file, item) => extra`
+ * @property {Object<string, string>} [sectionLabels={}] - Titles for directories without an index page, keyed by path
+ * @property {Object<string, number|CollapseOptions>} [collapse={}] - Sections to shorten to their first children
+ *   followed by a "more" item, keyed by path
+ * @property {boolean|RenderHtmlOptions} [renderHtml=false] - Add pre-rendered menu and breadcrumb HTML to each file
+ * @property {boolean|EmitJsonOptions} [emitJson=false] - Add a JSON file holding the navigation to the build
+ * @property {boolean|ValidateOptions} [validate=false] - Report navigation problems as warnings and in the metadata
+ * @property {boolean} [strict=false] - Fail the build when validation finds a problem, implies validate
+ * @property {boolean|IncrementalOptions} [incremental=false] - Reuse the previous build's navigation when the pages
+ *   and the frontmatter it is built from are unchanged, for watch mode
+ */
+
+/**
+ * Options for one named menu. Unset options fall back to the plugin options,
+ * except rootPath which defaults to '/'.
+ * @typedef {Object} MenuOptions
+ * @property {string} [metadataKey] - Metadata key for the menu, defaults to the menu name
+ * @property {SortRule|Object<string, SortRule>|null} [sortBy] - How to sort menu items at the same level
+ * @property {Array<NavRule>} [navExcludePatterns] - Extra rules to exclude files from this menu
+ * @property {Array<NavRule>} [navIncludePatterns] - Rules of which a file must match one to be in this menu
+ * @property {Object<string, number>} [navIndex] - Object mapping page paths to numeric index values
+ * @property {string} [rootPath='/'] - The root path to start building the menu from
+ * @property {number|null} [maxDepth] - Number of levels to keep, unlimited when null
+ * @property {boolean} [optIn=false] - Only include pages listing this menu in `navigation.menus`
+ * @property {string} [missingIndex] - How to handle directories without an index page
+ * @property {Object<string, number|CollapseOptions>} [collapse] - Sections to shorten in this menu, keyed by path
+ */
+
+/**
+ * How to collapse one large section
+ * @typedef {Object} CollapseOptions
+ * @property {number} childLimit - Number of children to keep before the "more" item
+ * @property {string} [moreLabel='More'] - Title of the "more" item
+ */
+
+/**
+ * Rendering options for the per-file HTML. See renderMenu and renderBreadcrumbs.
+ * @typedef {Object} RenderHtmlOptions
+ * @property {{maxDepth?: number|null, classNames?: Object<string, string>, ariaLabel?: string}} [menu] - Menu options
+ * @property {{classNames?: Object<string, string>, ariaLabel?: string}} [breadcrumbs] - Breadcrumb options
+ */
+
+/**
+ * Options for the JSON export of the navigation
+ * @typedef {Object} EmitJsonOptions
+ * @property {string} [filename='navigation.json'] - Path of the file added to the build
+ * @property {boolean} [flat=false] - Write a flat index of `{ path, title, parentPath, depth }` instead of the tree
+ * @property {Array<string>} [fields] - Keys to write for each item, in order
+ */
+
+/**
+ * A sort rule: a comparator used after navIndex, or a sort key or array of
+ * keys such as `['-date', 'title']`, `-` meaning descending
+ * @typedef {Function|string|Array<string>} SortRule
+ */
+
+/**
+ * A navigation inclusion or exclusion rule: a glob (a trailing `/` covering
+ * a whole directory), a RegExp, a function `(path, file) => boolean`, or a
+ * plain object of frontmatter conditions such as `{ date: { after: 'now' } }`
+ * @typedef {string|RegExp|Function|Object<string, *>} NavRule
+ */
+
+/**
+ * A title fallback step: `'titleCase'`, `'sentenceCase'`, `'stripNumericPrefix'`,
+ * `'firstHeading'`, or a function `(name, file, path) => string`
+ * @typedef {string|Function} TitleStep
+ */
+
+/**
+ * Options for incremental rebuilds
+ * @typedef {Object} IncrementalOptions
+ * @property {Array<string>} [fields] - Extra frontmatter fields that function options read
+ */
+
+/**
+ * Options for navigation diagnostics
+ * @typedef {Object} ValidateOptions
+ * @property {string} [metadataKey='navigationDiagnostics'] - Metadata key for the list of diagnostics
+ */
+
+/**
+ * A problem found by navigation validation
+ * @typedef {Object} Diagnostic
+ * @property {'unmatched-nav-index'|'invalid-nav-index'|'duplicate-title'|'missing-index'|'invalid-visibility'} type - Kind of problem
+ * @property {string|null} path - The navIndex key, file path or URL path concerned, null for the top level
+ * @property {string} message - Human-readable description
+ * @property {string} [locale] - The locale the problem was found in, i18n mode only
+ */
+
+/**
+ * A manual menu entry that is not a page in the build
+ * @typedef {Object} ExtraItem
+ * @property {string} title - Display title
+ * @property {string} url - Link target, used as the item's path
+ * @property {string} [parent] - Path of the navigation item to nest under, top level when unset
+ * @property {number} [navIndex] - Numeric index for custom ordering
+ * @property {boolean} [external=false] - The link leaves the site
+ * @property {string[]} [menus] - Named menus with `optIn: true` that should include the item
+ */
+
+/**
+ * Switches for the per-file outputs that are always written. Each is on
+ * unless set to false.
+ * @typedef {Object} FileOutputs
+ * @property {boolean} [path=true] - Write the page's URL path under fileKey
+ * @property {boolean} [breadcrumbs=true] - Write the page's breadcrumbs under fileKey
+ * @property {boolean} [urlPath=true] - Write the page's URL path under urlKey
+ */
+
+/**
+ * Options for the per-page section navigation
+ * @typedef {Object} LocalNavigationOptions
+ * @property {number} [level=1] - Depth of the ancestor that roots the section, 1 being the top level
+ * @property {number|null} [maxDepth=null] - Number of levels to keep below the section, unlimited when null
  */
 
 /**
@@ -16,6 +158,10 @@
  * @property {string} path - URL path for the navigation item
  * @property {number|null} navIndex - Numeric index for custom ordering
  * @property {NavItem[]} children - Child navigation items
+ * @property {boolean} [external] - The link leaves the site (extra items only)
+ * @property {boolean} [isActive] - The item is the current page (per-page `navigation.tree` only)
+ * @property {boolean} [isInActiveTrail] - The item is an ancestor of the current page (per-page view only)
+ * @property {boolean} [isExpanded] - The item has children and is active or in the trail (per-page view only)
  */
 
 /**
@@ -25,15 +171,165 @@
  * @property {string} path - URL path
  */
 
+/**
+ * A translation of the current page
+ * @typedef {Object} AlternateLink
+ * @property {string} locale - Locale of the translation
+ * @property {string|null} title - Display title of the translation
+ * @property {string} path - URL path
+ */
+
+/**
+ * Previous/next link
+ * @typedef {Object} PageLink
+ * @property {string} title - Display title
+ * @property {string} path - URL path
+ */
+
 import {
+  addExtraItems,
+  addItemFields,
+  applyLogicalParents,
+  buildMenus,
+  collapseNavigation,
+  collectDiagnostics,
   createNavigationStructure,
-  findSectionByPath,
+  filterNavigation,
+  generateActiveTrail,
+  generateAlternates,
   generateBreadcrumbs,
-  sortNavigation
+  generateJson,
+  generateLocalNavigation,
+  generatePrevNext,
+  generateRenderedHtml,
+  generateSitemap,
+  groupByLocale,
+  narrowToRoot,
+  navigationSignature,
+  prefixNavigation,
+  RESERVED_ITEM_KEYS,
+  readsBuildTime,
+  replayOutputs,
+  resolveMissingIndexes,
+  retitledPages,
+  reusableBreadcrumbs,
+  sameSignature,
+  showsInMenus,
+  sortNavigation,
+  trimNavigation
 } from './processors/index.js';
-import { fileUrlPath, normalizePath, shouldExclude } from './utils/index.js';
+import {
+  COLLISION_POLICIES,
+  CONDITION_OPERATORS,
+  fileUrlPath,
+  findExclusion,
+  outputPath,
+  setFileOutput,
+  setUrlPath,
+  TITLE_TRANSFORMS,
+  withBasePath
+} from './utils/index.js';
+
+const MISSING_INDEX_STRATEGIES = ['link', 'link-first-child', 'no-link', 'hoist-children', 'omit'];
+const FILE_OUTPUTS = ['path', 'breadcrumbs', 'urlPath'];
 
 const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isPositiveInteger = (v) => Number.isInteger(v) && v > 0;
+const isSortRule = (v) =>
+  typeof v === 'function' ||
+  ([].concat(v).length > 0 && [].concat(v).every((key) => typeof key === 'string' && /^-?[^-\s]/.test(key)));
+
+/**
+ * Validate a list of navIncludePatterns or navExcludePatterns rules
+ * @param {Array|undefined} rules - Rules to check
+ * @param {string} name - Option name for error messages
+ * @param {Function} fail - Throws with the given message
+ */
+function validateRules(rules, name, fail) {
+  if (rules === undefined) {
+    return;
+  }
+  if (!Array.isArray(rules)) {
+    fail(`option '${name}' must be an array`);
+  }
+  rules.forEach((rule, index) => {
+    if (typeof rule === 'string' || rule instanceof RegExp || typeof rule === 'function') {
+      return;
+    }
+    if (!isPlainObject(rule) || !Object.keys(rule).length) {
+      fail(`option '${name}[${index}]' must be a string, RegExp, function, or plain object of frontmatter conditions`);
+    }
+    Object.entries(rule).forEach(([field, condition]) => {
+      if (Array.isArray(condition)) {
+        if (!condition.length || condition.some((option) => Array.isArray(option) || isPlainObject(option))) {
+          fail(`option '${name}[${index}].${field}' must list at least one value, and no arrays or operators`);
+        }
+        return;
+      }
+      if (!isPlainObject(condition) || condition instanceof Date) {
+        return;
+      }
+      const operators = Object.keys(condition);
+      if (!operators.length || !operators.every((operator) => CONDITION_OPERATORS.includes(operator))) {
+        fail(`option '${name}[${index}].${field}' must only use '${CONDITION_OPERATORS.join("', '")}'`);
+      }
+      if (condition.exists !== undefined && typeof condition.exists !== 'boolean') {
+        fail(`option '${name}[${index}].${field}.exists' must be a boolean`);
+      }
+    });
+  });
+}
+
+/**
+ * Validate the options shared by the plugin and its named menus.
+ * @param {Object} options - Options to check
+ * @param {string} prefix - Prefix for option names in error messages
+ * @param {Function} fail - Throws with the given message
+ */
+function validateNavOptions(options, prefix, fail) {
+  if (options.metadataKey !== undefined && (typeof options.metadataKey !== 'string' || !options.metadataKey)) {
+    fail(`option '${prefix}metadataKey' must be a non-empty string`);
+  }
+  if (options.sortBy !== undefined && options.sortBy !== null) {
+    const rules = isPlainObject(options.sortBy) ? Object.values(options.sortBy) : [options.sortBy];
+    if (!rules.every(isSortRule)) {
+      fail(
+        `option '${prefix}sortBy' must be a function, a sort key, an array of sort keys, or a plain object of those`
+      );
+    }
+  }
+  validateRules(options.navExcludePatterns, `${prefix}navExcludePatterns`, fail);
+  validateRules(options.navIncludePatterns, `${prefix}navIncludePatterns`, fail);
+  if (options.navIndex !== undefined && !isPlainObject(options.navIndex)) {
+    fail(`option '${prefix}navIndex' must be a plain object`);
+  }
+  if (options.rootPath !== undefined && (typeof options.rootPath !== 'string' || !options.rootPath.startsWith('/'))) {
+    fail(`option '${prefix}rootPath' must be a string starting with '/'`);
+  }
+  if (options.maxDepth !== undefined && options.maxDepth !== null && !isPositiveInteger(options.maxDepth)) {
+    fail(`option '${prefix}maxDepth' must be a positive integer or null`);
+  }
+  if (options.missingIndex !== undefined && !MISSING_INDEX_STRATEGIES.includes(options.missingIndex)) {
+    fail(`option '${prefix}missingIndex' must be one of '${MISSING_INDEX_STRATEGIES.join("', '")}'`);
+  }
+  if (options.collapse !== undefined) {
+    if (!isPlainObject(options.collapse)) {
+      fail(`option '${prefix}collapse' must be a plain object`);
+    }
+    Object.entries(options.collapse).forEach(([path, rule]) => {
+      const name = `${prefix}collapse['${path}']`;
+      if (isPositiveInteger(rule)) {
+        return;
+      }
+      if (!isPlainObject(rule) || !isPositiveInteger(rule.childLimit)) {
+        fail(`option '${name}' must be a positive integer or a plain object with a positive integer childLimit`);
+      }
+      if (rule.moreLabel !== undefined && (typeof rule.moreLabel !== 'string' || !rule.moreLabel)) {
+        fail(`option '${name}.moreLabel' must be a non-empty string`);
+      }
+    });
+  }
+}
 
 /**
  * Validate user-provided options. Throws a TypeError with a clear message
@@ -46,33 +342,409 @@ function validateOptions(options) {
     throw new TypeError(`metalsmith-menu-plus: ${msg}`);
   };
 
-  if (options.metadataKey !== undefined && (typeof options.metadataKey !== 'string' || !options.metadataKey)) {
-    fail(`option 'metadataKey' must be a non-empty string`);
-  }
+  validateNavOptions(options, '', fail);
   if (options.usePermalinks !== undefined && typeof options.usePermalinks !== 'boolean') {
     fail(`option 'usePermalinks' must be a boolean`);
   }
-  if (options.sortBy !== undefined && options.sortBy !== null && typeof options.sortBy !== 'function') {
-    fail(`option 'sortBy' must be a function or null`);
+  if (options.basePath !== undefined && (typeof options.basePath !== 'string' || !options.basePath.startsWith('/'))) {
+    fail(`option 'basePath' must be a string starting with '/'`);
   }
-  if (options.navExcludePatterns !== undefined && !Array.isArray(options.navExcludePatterns)) {
-    fail(`option 'navExcludePatterns' must be an array`);
+  ['fileKey', 'urlKey'].forEach((name) => {
+    if (options[name] !== undefined && (typeof options[name] !== 'string' || !options[name])) {
+      fail(`option '${name}' must be a non-empty string`);
+    }
+  });
+  if ((options.fileKey ?? 'navigation') === (options.urlKey ?? 'urlPath')) {
+    fail(`options 'fileKey' and 'urlKey' must differ`);
   }
-  if (options.navIndex !== undefined && !isPlainObject(options.navIndex)) {
-    fail(`option 'navIndex' must be a plain object`);
+  if (options.fileOutputs !== undefined) {
+    if (!isPlainObject(options.fileOutputs)) {
+      fail(`option 'fileOutputs' must be a plain object`);
+    }
+    Object.entries(options.fileOutputs).forEach(([name, value]) => {
+      if (!FILE_OUTPUTS.includes(name)) {
+        fail(`option 'fileOutputs' only takes '${FILE_OUTPUTS.join("', '")}'`);
+      }
+      if (typeof value !== 'boolean') {
+        fail(`option 'fileOutputs.${name}' must be a boolean`);
+      }
+    });
   }
-  if (options.rootPath !== undefined && (typeof options.rootPath !== 'string' || !options.rootPath.startsWith('/'))) {
-    fail(`option 'rootPath' must be a string starting with '/'`);
+  if (options.onCollision !== undefined && !COLLISION_POLICIES.includes(options.onCollision)) {
+    fail(`option 'onCollision' must be one of '${COLLISION_POLICIES.join("', '")}'`);
+  }
+  if (options.activeTrail !== undefined && typeof options.activeTrail !== 'boolean') {
+    fail(`option 'activeTrail' must be a boolean`);
+  }
+  if (options.localNavigation !== undefined && typeof options.localNavigation !== 'boolean') {
+    if (!isPlainObject(options.localNavigation)) {
+      fail(`option 'localNavigation' must be a boolean or a plain object`);
+    }
+    const { level, maxDepth } = options.localNavigation;
+    if (level !== undefined && !isPositiveInteger(level)) {
+      fail(`option 'localNavigation.level' must be a positive integer`);
+    }
+    if (maxDepth !== undefined && maxDepth !== null && !isPositiveInteger(maxDepth)) {
+      fail(`option 'localNavigation.maxDepth' must be a positive integer or null`);
+    }
+  }
+  if (options.pattern !== undefined) {
+    const patterns = [].concat(options.pattern);
+    if (!patterns.length || !patterns.every((pattern) => typeof pattern === 'string' && pattern)) {
+      fail(`option 'pattern' must be a non-empty string or an array of them`);
+    }
+  }
+  if (options.extensionMap !== undefined) {
+    if (!isPlainObject(options.extensionMap)) {
+      fail(`option 'extensionMap' must be a plain object`);
+    }
+    Object.entries(options.extensionMap).forEach(([from, to]) => {
+      if (!/^\.[^./]+$/.test(from) || typeof to !== 'string' || !/^\.[^./]+$/.test(to)) {
+        fail(`option 'extensionMap' must map extensions such as '.md' to extensions such as '.html'`);
+      }
+    });
+  }
+  if (options.sortLocale !== undefined && (typeof options.sortLocale !== 'string' || !options.sortLocale)) {
+    fail(`option 'sortLocale' must be a non-empty string`);
+  }
+  if (options.titleFallback !== undefined && options.titleFallback !== null) {
+    const names = [...Object.keys(TITLE_TRANSFORMS), 'firstHeading'];
+    const steps = [].concat(options.titleFallback);
+    if (!steps.every((step) => typeof step === 'function' || names.includes(step))) {
+      fail(`option 'titleFallback' must be a function, one of '${names.join("', '")}', or an array of those`);
+    }
   }
+  if (options.numericPrefixes !== undefined && typeof options.numericPrefixes !== 'boolean') {
+    if (!isPlainObject(options.numericPrefixes)) {
+      fail(`option 'numericPrefixes' must be a boolean or a plain object`);
+    }
+    const { stripFromUrl } = options.numericPrefixes;
+    if (stripFromUrl !== undefined && typeof stripFromUrl !== 'boolean') {
+      fail(`option 'numericPrefixes.stripFromUrl' must be a boolean`);
+    }
+  }
+  if (options.fields !== undefined && options.fields !== null && typeof options.fields !== 'function') {
+    if (!Array.isArray(options.fields) || !options.fields.every((field) => typeof field === 'string' && field)) {
+      fail(`option 'fields' must be a function, an array of non-empty strings, or null`);
+    }
+    const keys = options.fields.map((field) => field.split('.').pop());
+    keys.forEach((key, i) => {
+      if (RESERVED_ITEM_KEYS.includes(key)) {
+        fail(`option 'fields' cannot set the reserved key '${key}'`);
+      }
+      if (keys.indexOf(key) !== i) {
+        fail(`option 'fields' sets the key '${key}' more than once`);
+      }
+    });
+  }
+  if (options.sectionLabels !== undefined) {
+    if (!isPlainObject(options.sectionLabels)) {
+      fail(`option 'sectionLabels' must be a plain object`);
+    }
+    Object.entries(options.sectionLabels).forEach(([path, label]) => {
+      if (typeof label !== 'string' || !label) {
+        fail(`option 'sectionLabels['${path}']' must be a non-empty string`);
+      }
+    });
+  }
+  if (options.prevNext !== undefined && ![false, 'section', 'tree'].includes(options.prevNext)) {
+    fail(`option 'prevNext' must be false, 'section' or 'tree'`);
+  }
+  if (options.renderHtml !== undefined && typeof options.renderHtml !== 'boolean') {
+    if (!isPlainObject(options.renderHtml)) {
+      fail(`option 'renderHtml' must be a boolean or a plain object`);
+    }
+    ['menu', 'breadcrumbs'].forEach((part) => {
+      const partOptions = options.renderHtml[part];
+      if (partOptions === undefined) {
+        return;
+      }
+      if (!isPlainObject(partOptions)) {
+        fail(`option 'renderHtml.${part}' must be a plain object`);
+      }
+      const { classNames, ariaLabel, maxDepth } = partOptions;
+      if (classNames !== undefined && !isPlainObject(classNames)) {
+        fail(`option 'renderHtml.${part}.classNames' must be a plain object`);
+      }
+      if (ariaLabel !== undefined && (typeof ariaLabel !== 'string' || !ariaLabel)) {
+        fail(`option 'renderHtml.${part}.ariaLabel' must be a non-empty string`);
+      }
+      if (part === 'menu' && maxDepth !== undefined && maxDepth !== null && !isPositiveInteger(maxDepth)) {
+        fail(`option 'renderHtml.menu.maxDepth' must be a positive integer or null`);
+      }
+    });
+  }
+  if (options.extraItems !== undefined) {
+    if (!Array.isArray(options.extraItems)) {
+      fail(`option 'extraItems' must be an array`);
+    }
+    options.extraItems.forEach((extra, i) => {
+      if (!isPlainObject(extra)) {
+        fail(`option 'extraItems[${i}]' must be a plain object`);
+      }
+      if (typeof extra.title !== 'string' || !extra.title) {
+        fail(`option 'extraItems[${i}].title' must be a non-empty string`);
+      }
+      if (typeof extra.url !== 'string' || !extra.url) {
+        fail(`option 'extraItems[${i}].url' must be a non-empty string`);
+      }
+      if (extra.parent !== undefined && (typeof extra.parent !== 'string' || !extra.parent.startsWith('/'))) {
+        fail(`option 'extraItems[${i}].parent' must be a string starting with '/'`);
+      }
+      if (extra.navIndex !== undefined && typeof extra.navIndex !== 'number') {
+        fail(`option 'extraItems[${i}].navIndex' must be a number`);
+      }
+      if (extra.external !== undefined && typeof extra.external !== 'boolean') {
+        fail(`option 'extraItems[${i}].external' must be a boolean`);
+      }
+      if (extra.menus !== undefined && !Array.isArray(extra.menus)) {
+        fail(`option 'extraItems[${i}].menus' must be an array`);
+      }
+    });
+  }
+  if (options.i18n !== undefined && options.i18n !== null) {
+    if (!isPlainObject(options.i18n)) {
+      fail(`option 'i18n' must be a plain object or null`);
+    }
+    const { locales, defaultLocale } = options.i18n;
+    if (!Array.isArray(locales) || !locales.length || !locales.every((l) => typeof l === 'string' && l)) {
+      fail(`option 'i18n.locales' must be a non-empty array of non-empty strings`);
+    }
+    if (defaultLocale !== undefined && !locales.includes(defaultLocale)) {
+      fail(`option 'i18n.defaultLocale' must be one of 'i18n.locales'`);
+    }
+  }
+  if (options.siteUrl !== undefined && options.siteUrl !== null && !/^https?:\/\/[^/]+/.test(options.siteUrl)) {
+    fail(`option 'siteUrl' must be an absolute http(s) URL`);
+  }
+  if (options.sitemap !== undefined && options.sitemap !== false) {
+    if (options.sitemap !== true && !isPlainObject(options.sitemap)) {
+      fail(`option 'sitemap' must be a boolean or a plain object`);
+    }
+    if (!options.siteUrl) {
+      fail(`option 'sitemap' requires 'siteUrl'`);
+    }
+    const { filename, navExcludePatterns } = options.sitemap === true ? {} : options.sitemap;
+    if (filename !== undefined && (typeof filename !== 'string' || !filename)) {
+      fail(`option 'sitemap.filename' must be a non-empty string`);
+    }
+    validateRules(navExcludePatterns, 'sitemap.navExcludePatterns', fail);
+  }
+  if (options.emitJson !== undefined && typeof options.emitJson !== 'boolean') {
+    if (!isPlainObject(options.emitJson)) {
+      fail(`option 'emitJson' must be a boolean or a plain object`);
+    }
+    const { filename, flat, fields } = options.emitJson;
+    if (filename !== undefined && (typeof filename !== 'string' || !filename)) {
+      fail(`option 'emitJson.filename' must be a non-empty string`);
+    }
+    if (flat !== undefined && typeof flat !== 'boolean') {
+      fail(`option 'emitJson.flat' must be a boolean`);
+    }
+    if (fields !== undefined && (!Array.isArray(fields) || !fields.every((f) => typeof f === 'string' && f))) {
+      fail(`option 'emitJson.fields' must be an array of non-empty strings`);
+    }
+  }
+  if (options.validate !== undefined && typeof options.validate !== 'boolean') {
+    if (!isPlainObject(options.validate)) {
+      fail(`option 'validate' must be a boolean or a plain object`);
+    }
+    const { metadataKey } = options.validate;
+    if (metadataKey !== undefined && (typeof metadataKey !== 'string' || !metadataKey)) {
+      fail(`option 'validate.metadataKey' must be a non-empty string`);
+    }
+  }
+  if (options.strict !== undefined && typeof options.strict !== 'boolean') {
+    fail(`option 'strict' must be a boolean`);
+  }
+  if (options.incremental !== undefined && typeof options.incremental !== 'boolean') {
+    if (!isPlainObject(options.incremental)) {
+      fail(`option 'incremental' must be a boolean or a plain object`);
+    }
+    const { fields } = options.incremental;
+    if (fields !== undefined && (!Array.isArray(fields) || !fields.every((f) => typeof f === 'string' && f))) {
+      fail(`option 'incremental.fields' must be an array of non-empty strings`);
+    }
+  }
+  if (options.breadcrumbsJsonLd !== undefined && options.breadcrumbsJsonLd !== false) {
+    if (options.breadcrumbsJsonLd !== true && options.breadcrumbsJsonLd !== 'inject') {
+      fail(`option 'breadcrumbsJsonLd' must be a boolean or 'inject'`);
+    }
+    if (!options.siteUrl) {
+      fail(`option 'breadcrumbsJsonLd' requires 'siteUrl'`);
+    }
+  }
+  if (options.menus !== undefined) {
+    if (!isPlainObject(options.menus)) {
+      fail(`option 'menus' must be a plain object`);
+    }
+    const metadataKeys = new Set([options.metadataKey || 'navigation']);
+    if (options.validate || options.strict) {
+      metadataKeys.add(options.validate?.metadataKey || 'navigationDiagnostics');
+    }
+    Object.entries(options.menus).forEach(([name, menu]) => {
+      if (!isPlainObject(menu)) {
+        fail(`option 'menus.${name}' must be a plain object`);
+      }
+      validateNavOptions(menu, `menus.${name}.`, fail);
+      if (menu.optIn !== undefined && typeof menu.optIn !== 'boolean') {
+        fail(`option 'menus.${name}.optIn' must be a boolean`);
+      }
+      const key = menu.metadataKey || name;
+      if (metadataKeys.has(key)) {
+        fail(`option 'menus.${name}' uses metadata key '${key}', which is already taken`);
+      }
+      metadataKeys.add(key);
+    });
+  }
+}
+
+/**
+ * Select the pages that make up the navigation: the files matching
+ * opts.pattern, as a view of the files object that shares its file objects.
+ * @param {Object} files - The Metalsmith files object
+ * @param {import('metalsmith')} metalsmith - The Metalsmith instance
+ * @param {Object} opts - Merged plugin options
+ * @returns {Object} The pages, keyed by their source path
+ * @throws {Error} If two pages would be published under the same path
+ */
+function selectPages(files, metalsmith, opts) {
+  const pages = {};
+  const published = new Map();
+  metalsmith.match(opts.pattern, Object.keys(files)).forEach((path) => {
+    const target = outputPath(path, opts);
+    if (published.has(target)) {
+      throw new Error(
+        `metalsmith-menu-plus: '${published.get(target)}' and '${path}' are both published as '${target}'`
+      );
+    }
+    published.set(target, path);
+    pages[path] = files[path];
+  });
+  return pages;
+}
+
+/**
+ * Build the navigation for one set of pages and write the per-file
+ * outputs. Runs once per build, or once per locale in i18n mode.
+ * @param {Object} files - The pages selected from the files object, or a locale's view of them
+ * @param {Array<string>} pagePaths - Page paths in `files`
+ * @param {Object} opts - Merged plugin options
+ * @returns {{navigation: Array, menus: Object<string, Array>, fullNavigation: Array, excluded: Array}} Navigation
+ *   and menus for the metadata, the un-prefixed full tree, and the excluded pages with the rule that matched
+ */
+function buildNavigation(files, pagePaths, opts) {
+  const includedPaths = [];
+  const excluded = [];
+  pagePaths.forEach((path) => {
+    const rule = findExclusion(path, files[path], opts);
+    if (rule === null) {
+      includedPaths.push(path);
+    } else {
+      excluded.push({ path, rule });
+    }
+  });
+
+  let fullNavigation = createNavigationStructure(includedPaths, files, opts);
+  addExtraItems(fullNavigation, opts.extraItems);
+  applyLogicalParents(fullNavigation, files);
+  addItemFields(fullNavigation, files, opts);
+  // Menus copy the structure before it is sorted, so each menu resolves navIndex with its own options
+  const menus = buildMenus(fullNavigation, files, opts);
+  sortNavigation(fullNavigation, opts, files);
+
+  fullNavigation = resolveMissingIndexes(fullNavigation, opts, files);
+
+  // Visibility and collapsing only shape the displayed trees; breadcrumbs and prev/next use the full one
+  const displayed = filterNavigation(narrowToRoot(fullNavigation, opts.rootPath), showsInMenus);
+  let navigation = collapseNavigation(displayed, opts);
+  if (opts.maxDepth) {
+    navigation = trimNavigation(navigation, opts.maxDepth);
+  }
+
+  // Use the full navigation for breadcrumbs so paths are complete even when rootPath is set.
+  generateBreadcrumbs(files, pagePaths, fullNavigation, opts);
+  if (opts.activeTrail) {
+    generateActiveTrail(files, pagePaths, fullNavigation, navigation, opts);
+  }
+  if (opts.localNavigation) {
+    generateLocalNavigation(files, pagePaths, fullNavigation, opts);
+  }
+  if (opts.prevNext) {
+    generatePrevNext(files, pagePaths, fullNavigation, opts);
+  }
+
+  pagePaths.forEach((path) => {
+    const file = files[path];
+    const urlPath = withBasePath(fileUrlPath(path, opts, file), opts);
+    if (opts.fileOutputs?.urlPath !== false) {
+      setUrlPath(file, path, urlPath, opts);
+    }
+    if (opts.fileOutputs?.path !== false) {
+      setFileOutput(file, path, 'path', urlPath, opts);
+    }
+  });
+
+  const prefixedNavigation = prefixNavigation(navigation, opts);
+  if (opts.renderHtml) {
+    generateRenderedHtml(files, pagePaths, prefixedNavigation, fullNavigation, opts);
+  }
+
+  const prefixedMenus = {};
+  Object.entries(menus).forEach(([key, menu]) => {
+    prefixedMenus[key] = prefixNavigation(menu, opts);
+  });
+  return { navigation: prefixedNavigation, menus: prefixedMenus, fullNavigation, excluded };
+}
+
+/**
+ * Build the navigation for one set of pages, reusing what it can of the
+ * previous build. When the signature is unchanged, the recorded per-file
+ * outputs are written to the new file objects instead of being worked out
+ * again. When only titles changed, the tree is rebuilt but breadcrumbs are
+ * only worked out again for pages whose trail shows a renamed page. Builds
+ * with rules that read the time are never reused.
+ * @param {Map<string, Object>} cache - Previous results, by group
+ * @param {string} key - The group, a locale in i18n mode
+ * @param {Object} files - The pages selected from the files object, or a locale's view of them
+ * @param {Array<string>} pagePaths - Page paths in `files`
+ * @param {Object} opts - Merged plugin options
+ * @returns {{result: Object, reused: boolean, keptBreadcrumbs: number}} The buildNavigation result, whether it
+ *   was reused, and how many pages kept their previous breadcrumbs in a rebuild
+ */
+function buildWithCache(cache, key, files, pagePaths, opts) {
+  if (readsBuildTime(opts)) {
+    return { result: buildNavigation(files, pagePaths, opts), reused: false, keptBreadcrumbs: 0 };
+  }
+  const signature = navigationSignature(files, pagePaths, opts);
+  const cached = cache.get(key);
+  if (cached && sameSignature(cached.signature, signature)) {
+    replayOutputs(files, cached.outputs, opts);
+    return { result: cached.result, reused: true, keptBreadcrumbs: 0 };
+  }
+
+  const retitled = cached ? retitledPages(cached.signature, signature) : null;
+  const breadcrumbs = retitled ? reusableBreadcrumbs(cached.breadcrumbs, retitled, files, opts) : new Map();
+  const keptBreadcrumbs = breadcrumbs.size;
+  const outputs = new Map();
+  const recordOutput = (path, field, value) => {
+    if (!outputs.has(path)) {
+      outputs.set(path, []);
+    }
+    outputs.get(path).push([field, value]);
+  };
+  const result = buildNavigation(files, pagePaths, { ...opts, recordOutput, breadcrumbCache: breadcrumbs });
+  cache.set(key, { signature, result, outputs, breadcrumbs });
+  return { result, reused: false, keptBreadcrumbs };
 }
 
 /**
  * Metalsmith Navigation Plugin with Permalinks Support
  *
- * Creates a hierarchical navigation structure from HTML files in your
+ * Creates a hierarchical navigation structure from the pages in your
  * Metalsmith build with support for permalinked URLs (e.g., page1/ instead
- * of page1.html). Non-HTML files are ignored — run this plugin after any
- * markdown-to-HTML conversion.
+ * of page1.html). Pages are the files matching `pattern`, `.html` files by
+ * default; other files are ignored.
  *
  * @param {Options} options - Plugin configuration options
  * @returns {import('metalsmith').Plugin} Metalsmith plugin function
@@ -83,47 +755,125 @@ function navigationPlugin(options = {}) {
 
   const opts = {
     metadataKey: 'navigation',
+    fileKey: 'navigation',
+    urlKey: 'urlPath',
+    fileOutputs: {},
+    onCollision: 'overwrite',
+    pattern: '**/*.html',
+    extensionMap: {},
     sortBy: null,
     usePermalinks: false,
+    basePath: '/',
     navExcludePatterns: [],
+    navIncludePatterns: [],
     navIndex: {},
     rootPath: '/',
+    maxDepth: null,
+    menus: {},
+    extraItems: [],
+    i18n: null,
+    siteUrl: null,
+    sitemap: false,
+    breadcrumbsJsonLd: false,
+    activeTrail: false,
+    localNavigation: false,
+    prevNext: false,
+    missingIndex: 'link',
+    titleFallback: null,
+    numericPrefixes: false,
+    fields: null,
+    sectionLabels: {},
+    collapse: {},
+    renderHtml: false,
+    emitJson: false,
+    validate: false,
+    strict: false,
+    incremental: false,
     ...options
   };
 
+  // Results of the previous build, per group, kept across rebuilds of the same pipeline
+  const cache = new Map();
+
   /**
    * @param {Object} files - The Metalsmith files object
    * @param {import('metalsmith')} metalsmith - The Metalsmith instance
    */
   const plugin = (files, metalsmith) => {
-    const htmlPaths = Object.keys(files).filter((path) => path.endsWith('.html'));
-    const includedPaths = htmlPaths.filter((path) => !shouldExclude(path, files[path], opts));
-
-    const fullNavigation = createNavigationStructure(includedPaths, files, opts);
-    sortNavigation(fullNavigation, opts);
+    const pages = selectPages(files, metalsmith, opts);
+    const pagePaths = Object.keys(pages);
+    const metadata = metalsmith.metadata();
+    const debug = metalsmith.debug('metalsmith-menu-plus');
+    // Exclusion globs are matched the way Metalsmith matches its own patterns
+    const buildOpts = { ...opts, matchPattern: (pattern, path) => metalsmith.match(pattern, [path]).length > 0 };
+    const build = (groupFiles, paths, groupOpts, key) => {
+      if (!opts.incremental) {
+        return buildNavigation(groupFiles, paths, groupOpts);
+      }
+      const { result, reused, keptBreadcrumbs } = buildWithCache(cache, key, groupFiles, paths, groupOpts);
+      if (reused) {
+        debug('navigation unchanged%s, reusing the previous build', key ? ` (${key})` : '');
+      } else if (keptBreadcrumbs) {
+        debug('navigation retitled%s, keeping the breadcrumbs of %d pages', key ? ` (${key})` : '', keptBreadcrumbs);
+      }
+      return result;
+    };
+    let groups;
 
-    let navigation = fullNavigation;
-    if (opts.rootPath !== '/') {
-      const normalizedRootPath = normalizePath(opts.rootPath);
-      const rootSection = findSectionByPath(normalizedRootPath, fullNavigation);
-      navigation = rootSection ? rootSection.children || [] : [];
+    if (!opts.i18n) {
+      const { navigation, menus, fullNavigation, excluded } = build(pages, pagePaths, buildOpts, '');
+      metadata[opts.metadataKey] = navigation;
+      Object.assign(metadata, menus);
+      excluded.forEach(({ path, rule }) => {
+        debug('excluded %s: %s', path, rule);
+      });
+      groups = [{ paths: pagePaths, files: pages, options: buildOpts, fullNavigation }];
+    } else {
+      // One navigation per locale, each built as if the locale were its own site
+      const locales = groupByLocale(pages, pagePaths, buildOpts);
+      metadata[opts.metadataKey] = {};
+      Object.entries(opts.menus).forEach(([name, menu]) => {
+        metadata[menu.metadataKey || name] = {};
+      });
+      locales.forEach((group, locale) => {
+        const { navigation, menus, fullNavigation, excluded } = build(
+          group.files,
+          Object.keys(group.files),
+          group.options,
+          locale
+        );
+        group.fullNavigation = fullNavigation;
+        excluded.forEach(({ path, rule }) => {
+          debug('excluded %s (%s): %s', path, locale, rule);
+        });
+        metadata[opts.metadataKey][locale] = navigation;
+        Object.entries(menus).forEach(([key, menu]) => {
+          metadata[key][locale] = menu;
+        });
+      });
+      generateAlternates(locales);
+      groups = [...locales.values()].map((group) => ({ ...group, paths: Object.keys(group.files) }));
     }
 
-    const metadata = metalsmith.metadata();
-    metadata[opts.metadataKey] = navigation;
-
-    // Use the full navigation for breadcrumbs so paths are complete even when rootPath is set.
-    generateBreadcrumbs(files, htmlPaths, fullNavigation, opts);
+    if (opts.sitemap) {
+      generateSitemap(files, groups, opts);
+    }
+    if (opts.emitJson) {
+      generateJson(files, metadata[opts.metadataKey], opts);
+    }
 
-    htmlPaths.forEach((path) => {
-      const file = files[path];
-      const urlPath = fileUrlPath(path, opts);
-      file.urlPath = urlPath;
-      if (!file.navigation) {
-        file.navigation = {};
+    if (opts.validate || opts.strict) {
+      const diagnostics = collectDiagnostics(groups, opts);
+      metadata[opts.validate?.metadataKey || 'navigationDiagnostics'] = diagnostics;
+      const lines = diagnostics.map((d) => (d.locale ? `${d.locale}: ${d.message}` : d.message));
+      lines.forEach((line) => {
+        debug.warn(line);
+      });
+      if (opts.strict && diagnostics.length) {
+        const list = lines.map((line) => `  - ${line}`).join('\n');
+        throw new Error(`metalsmith-menu-plus: navigation validation found ${diagnostics.length} problem(s):\n${list}`);
       }
-      file.navigation.path = urlPath;
-    });
+    }
 
     metalsmith.metadata(metadata);
   };
@@ -137,4 +887,5 @@ Object.defineProperty(navigationPlugin, 'name', {
   configurable: true
 });
 
+export { renderBreadcrumbs, renderMenu } from './processors/index.js';
 export default navigationPlugin;
@@ -0,0 +1,55 @@
+/**
+ * Per-page active trail views for metalsmith-menu-plus
+ */
+
+import { fileUrlPath, INTERNAL, normalizePath, setFileOutput } from '../utils/index.js';
+import { findAncestry, indexTrails } from './breadcrumbs.js';
+import { copyNavItem, prefixNavigation } from './navigation.js';
+
+/**
+ * Give each page its own copy of the navigation with active-state flags,
+ * written to `file.navigation.tree`. The trail is found in the full tree, so
+ * it is complete even when the displayed navigation is narrowed by rootPath.
+ * The shared navigation is never modified.
+ * @param {Object} files - The Metalsmith files object
+ * @param {Array<string>} paths - File paths to process
+ * @param {Array} fullNavigation - The full, sorted navigation structure
+ * @param {Array} navigation - The navigation to copy for each page
+ * @param {Object} options - Plugin options
+ */
+export function generateActiveTrail(files, paths, fullNavigation, navigation, options) {
+  const index = indexTrails(fullNavigation);
+  paths.forEach((path) => {
+    const file = files[path];
+    const urlPath = fileUrlPath(path, options, file);
+    const tree = markActiveTrail(navigation, findAncestry(urlPath, fullNavigation, index), urlPath);
+    setFileOutput(file, path, 'tree', prefixNavigation(tree, options), options);
+  });
+}
+
+/**
+ * Copy the navigation structure, flagging each item with `isActive` (the
+ * item for urlPath), `isInActiveTrail` (an ancestor of it) and `isExpanded`
+ * (an item with children that is active or in the trail).
+ * @param {Array} items - The navigation items to copy
+ * @param {Array} ancestry - Items from findAncestry for urlPath
+ * @param {string} urlPath - The URL path of the current page
+ * @returns {Array} Flagged copies of the navigation items
+ */
+export function markActiveTrail(items, ancestry, urlPath) {
+  // Items are compared by origin, since both trees may be copies of the tree that was built
+  const origin = (item) => item[INTERNAL.origin] ?? item;
+  const last = ancestry[ancestry.length - 1];
+  const activeItem = last && normalizePath(last.path) === normalizePath(urlPath) ? origin(last) : null;
+  const ancestors = new Set(ancestry.map(origin).filter((item) => item !== activeItem));
+
+  const mark = (list) =>
+    list.map((item) => {
+      const copy = copyNavItem(item, mark(item.children || []));
+      copy.isActive = origin(item) === activeItem;
+      copy.isInActiveTrail = ancestors.has(origin(item));
+      copy.isExpanded = copy.children.length > 0 && (copy.isActive || copy.isInActiveTrail);
+      return copy;
+    });
+  return mark(items);
+}
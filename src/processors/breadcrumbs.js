@@ -2,76 +2,216 @@
  * Breadcrumb generation for metalsmith-menu-plus
  */
 
-import { fileUrlPath, normalizePath } from '../utils/index.js';
+import { absoluteUrl, fileUrlPath, INTERNAL, normalizePath, setFileOutput, withBasePath } from '../utils/index.js';
+import { showsInTrail } from './navigation.js';
 
 /**
- * Generate breadcrumbs for each HTML file and add to its navigation metadata.
- * Iterates the provided file paths (assumed already filtered to .html).
+ * Generate breadcrumbs for each page and add to its navigation metadata,
+ * unless `options.fileOutputs.breadcrumbs` is false.
+ * Iterates the provided file paths (assumed already filtered to pages).
+ * Breadcrumb paths are prefixed with options.basePath.
+ *
+ * With `options.breadcrumbsJsonLd` each file also gets a schema.org
+ * BreadcrumbList in `navigation.breadcrumbsJsonLd`; in `'inject'` mode it is
+ * also added to the page's `<head>` as a JSON-LD script.
  * @param {Object} files - The Metalsmith files object
  * @param {Array<string>} paths - File paths to process
  * @param {Array} navigation - The navigation structure
  * @param {Object} options - Plugin options
  */
 export function generateBreadcrumbs(files, paths, navigation, options) {
+  const index = indexTrails(navigation);
   paths.forEach((path) => {
     const file = files[path];
-    if (!file.navigation) {
-      file.navigation = {};
+    const breadcrumbs = pageBreadcrumbs(path, file, navigation, options, index);
+    if (options.fileOutputs?.breadcrumbs !== false) {
+      setFileOutput(file, path, 'breadcrumbs', breadcrumbs, options);
+    }
+
+    if (options.breadcrumbsJsonLd) {
+      const jsonLd = breadcrumbsToJsonLd(breadcrumbs, options);
+      setFileOutput(file, path, 'breadcrumbsJsonLd', jsonLd, options);
+      if (jsonLd && options.breadcrumbsJsonLd === 'inject') {
+        injectJsonLd(file, jsonLd);
+      }
     }
-    const urlPath = fileUrlPath(path, options);
-    file.navigation.breadcrumbs = findBreadcrumbs(urlPath, navigation);
   });
 }
 
+/**
+ * Find the breadcrumbs of one page, paths prefixed with options.basePath.
+ * With `options.breadcrumbCache` set, a page's breadcrumbs are read from it
+ * when present and stored in it otherwise.
+ * @param {string} path - The file path
+ * @param {Object} file - The file metadata
+ * @param {Array} navigation - The navigation structure
+ * @param {Object} options - Plugin options
+ * @param {Map<string, Array>} [index] - indexTrails of the navigation, built when not given
+ * @returns {Array<{title: string, path: string}>} The breadcrumbs
+ */
+export function pageBreadcrumbs(path, file, navigation, options, index) {
+  const cached = options.breadcrumbCache?.get(path);
+  if (cached) {
+    return cached;
+  }
+  const breadcrumbs = findBreadcrumbs(fileUrlPath(path, options, file), navigation, index).map((crumb) => ({
+    title: crumb.title,
+    path: withBasePath(crumb.path, options)
+  }));
+  options.breadcrumbCache?.set(path, breadcrumbs);
+  return breadcrumbs;
+}
+
+/**
+ * Build a schema.org BreadcrumbList from breadcrumbs.
+ * @param {Array} breadcrumbs - Breadcrumb items, paths already prefixed with basePath
+ * @param {Object} options - Plugin options
+ * @returns {Object|null} The BreadcrumbList, or null when there are no breadcrumbs
+ */
+export function breadcrumbsToJsonLd(breadcrumbs, options) {
+  // Section labels without a link cannot be list items
+  const linked = breadcrumbs.filter((crumb) => crumb.path !== null);
+  if (!linked.length) {
+    return null;
+  }
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: linked.map((crumb, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      name: crumb.title,
+      item: absoluteUrl(crumb.path, options)
+    }))
+  };
+}
+
+/**
+ * Add a JSON-LD script to the end of a page's `<head>`. Pages without a
+ * `</head>` tag are left unchanged.
+ * @param {Object} file - The Metalsmith file
+ * @param {Object} jsonLd - The structured data to add
+ */
+export function injectJsonLd(file, jsonLd) {
+  const html = file.contents.toString();
+  const headEnd = html.search(/<\/head>/i);
+  if (headEnd === -1) {
+    return;
+  }
+  // Escape '<' so the data can never close the script element early
+  const json = JSON.stringify(jsonLd).replace(/</g, '\\u003c');
+  const script = `<script type="application/ld+json">${json}</script>\n`;
+  file.contents = Buffer.from(html.slice(0, headEnd) + script + html.slice(headEnd));
+}
+
 /**
  * Find breadcrumb path for a given URL.
  * Always returns an array — empty if there's no home item and no match.
+ * Ancestors whose visibility keeps them out of breadcrumbs are skipped, but
+ * a page is always the last crumb of its own breadcrumbs.
  * @param {string} urlPath - The URL path to find breadcrumbs for
  * @param {Array} navigation - The navigation structure
- * @param {Array} [currentPath=[]] - The current breadcrumb path (used recursively)
+ * @param {Map<string, Array>} [index] - indexTrails of the navigation, built when not given
  * @returns {Array} Array of breadcrumb items
  */
-export function findBreadcrumbs(urlPath, navigation, currentPath = []) {
-  // Always start with the root element if not already in path
-  if (currentPath.length === 0) {
-    const homeItem = navigation.find((item) => item.path === '/');
-    if (homeItem) {
-      currentPath = [
-        {
-          title: homeItem.title,
-          path: homeItem.path
-        }
-      ];
-
-      // For homepage, return early
-      if (urlPath === '/') {
-        return currentPath;
-      }
-    }
+export function findBreadcrumbs(urlPath, navigation, index) {
+  return findTrail(urlPath, navigation, index)
+    .filter((item) => showsInTrail(item) || normalizePath(item.path) === normalizePath(urlPath))
+    .map((item) => ({
+      title: item.title,
+      path: item.path
+    }));
+}
+
+/**
+ * Find the chain of navigation items leading to a given URL, starting with
+ * the home item when there is one. The last entry is the item for the URL
+ * itself, or its nearest ancestor by URL when the URL is not in the
+ * navigation.
+ *
+ * The URL is looked up in `index`, so a page moved by `navigation.parent`
+ * gets the trail of its logical parent. Only a URL that is not in the
+ * navigation falls back to a walk down the items whose path is a prefix of
+ * it. Callers looking up many pages should build the index once with
+ * indexTrails and pass it in.
+ * @param {string} urlPath - The URL path to find the trail for
+ * @param {Array} navigation - The navigation structure
+ * @param {Map<string, Array>} [index] - indexTrails of the navigation, built when not given
+ * @returns {Array} Array of navigation items (not copies)
+ */
+export function findTrail(urlPath, navigation, index = indexTrails(navigation)) {
+  // Always start with the root element
+  const homeItem = navigation.find((item) => item.path === '/');
+  const lead = homeItem ? [homeItem] : [];
+
+  // For homepage, return early
+  if (homeItem && urlPath === '/') {
+    return lead;
   }
 
-  return searchBreadcrumbs(urlPath, navigation, currentPath);
+  const chain = index.get(normalizePath(urlPath));
+  if (!chain) {
+    return searchTrail(urlPath, navigation, lead);
+  }
+  return chain[0] === homeItem ? chain : [...lead, ...chain];
 }
 
 /**
- * Helper function to search for breadcrumbs in the navigation structure
- * @param {string} urlPath - The URL path to find breadcrumbs for
+ * Map each path in the tree to the chain of items from the top level down
+ * to the item with that path. Paths compare without their trailing slash,
+ * and the first item in depth-first order wins when two share a path.
+ * Section labels are not pages, so they are left out.
+ * @param {Array} navigation - The navigation structure
+ * @returns {Map<string, Array>} Item chains by normalized path
+ */
+export function indexTrails(navigation) {
+  const index = new Map();
+  const visit = (items, parents) => {
+    items.forEach((item) => {
+      const chain = [...parents, item];
+      if (!item[INTERNAL.section] && typeof item.path === 'string' && !index.has(normalizePath(item.path))) {
+        index.set(normalizePath(item.path), chain);
+      }
+      if (item.children?.length) {
+        visit(item.children, chain);
+      }
+    });
+  };
+  visit(navigation, []);
+  return index;
+}
+
+/**
+ * Find the chain of navigation items from the top level of the tree down to
+ * a given URL. Unlike findTrail this does not lead with the home item unless
+ * the home item is the page itself or really holds it.
+ * @param {string} urlPath - The URL path to find the ancestry for
+ * @param {Array} navigation - The navigation structure
+ * @param {Map<string, Array>} [index] - indexTrails of the navigation, built when not given
+ * @returns {Array} Array of navigation items (not copies)
+ */
+export function findAncestry(urlPath, navigation, index) {
+  const trail = findTrail(urlPath, navigation, index);
+  const [first, second] = trail;
+  if (first?.path === '/' && normalizePath(urlPath) !== '/' && !first.children?.includes(second)) {
+    return trail.slice(1);
+  }
+  return trail;
+}
+
+/**
+ * Walk down the items whose path is a prefix of a URL that is not in the
+ * navigation, to find its nearest ancestor by URL
+ * @param {string} urlPath - The URL path to find the trail for
  * @param {Array} navigation - The navigation structure to search within
- * @param {Array} currentPath - The current breadcrumb path
- * @returns {Array} Array of breadcrumb items
+ * @param {Array} currentPath - The items leading to this level
+ * @returns {Array} Array of navigation items
  */
-function searchBreadcrumbs(urlPath, navigation, currentPath) {
-  // Search for matching item at this level
+function searchTrail(urlPath, navigation, currentPath) {
   for (const item of navigation) {
-    // Check if this is the item we're looking for
-    if (normalizePath(item.path) === normalizePath(urlPath)) {
-      return [
-        ...currentPath,
-        {
-          title: item.title,
-          path: item.path
-        }
-      ];
+    // Section labels have no URL of their own for the walk to follow
+    if (item[INTERNAL.section]) {
+      continue;
     }
 
     // Check if this could be a parent (URL is a substring)
@@ -82,17 +222,9 @@ function searchBreadcrumbs(urlPath, navigation, currentPath) {
       // Add this item to the current path and search its children
       // Skip adding root again if it's already in the path
       const newPath =
-        item.path === '/' && currentPath.some((p) => p.path === '/')
-          ? currentPath
-          : [
-              ...currentPath,
-              {
-                title: item.title,
-                path: item.path
-              }
-            ];
-
-      const result = searchBreadcrumbs(urlPath, item.children, newPath);
+        item.path === '/' && currentPath.some((p) => p.path === '/') ? currentPath : [...currentPath, item];
+
+      const result = searchTrail(urlPath, item.children, newPath);
       if (result) {
         return result;
       }
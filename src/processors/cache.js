@@ -0,0 +1,260 @@
+/**
+ * Incremental rebuild support for metalsmith-menu-plus
+ */
+
+import { fileUrlPath, setFileOutput, setUrlPath, withBasePath } from '../utils/index.js';
+import { injectJsonLd } from './breadcrumbs.js';
+
+/**
+ * Frontmatter the navigation is always built from, with what a change to it
+ * can do: `tree` fields can reshape the tree, `title` fields only rename the
+ * page's own item, and `item` fields only change its other properties, its
+ * place among its siblings or the menus it is in. `navigation` stands for
+ * the keys of the navigation object not listed on their own. Fields named
+ * in the options are added by signatureFields.
+ */
+const PAGE_FIELDS = {
+  title: 'title',
+  'navigation.navLabel': 'title',
+  'navigation.navIndex': 'item',
+  'navigation.menus': 'item',
+  navigation: 'tree',
+  draft: 'tree',
+  permalink: 'tree',
+  path: 'tree',
+  lang: 'tree',
+  translationKey: 'tree'
+};
+
+/**
+ * Field kinds from the least to the most far-reaching
+ */
+const FIELD_KINDS = ['item', 'title', 'tree'];
+
+/**
+ * Summarize everything the navigation of one set of pages is built from: the
+ * page paths and, for each page, the frontmatter fields in PAGE_FIELDS, the
+ * fields the options read, and `options.incremental.fields`. Two builds with
+ * the same signature produce the same navigation and per-file outputs.
+ *
+ * Function options (comparators, rules, fields and title functions) are
+ * assumed to read only these fields.
+ * @param {Object} files - The pages, or a locale's view of them
+ * @param {Array<string>} paths - Page paths in `files`
+ * @param {Object} options - Plugin options
+ * @returns {{fields: Array<[string, string]>, rows: Map<string, Array<string>>}} The fields with their kind,
+ *   and each page's serialized values in the same order
+ */
+export function navigationSignature(files, paths, options) {
+  const fields = signatureFields(options);
+  const rows = new Map();
+  paths.forEach((path) => {
+    rows.set(
+      path,
+      fields.map(([field]) => JSON.stringify(fieldValue(files[path], field)))
+    );
+  });
+  return { fields, rows };
+}
+
+/**
+ * Check whether two signatures of the same group are equal
+ * @param {Object} previous - The signature of the previous build
+ * @param {Object} current - The signature of this build
+ * @returns {boolean} True if nothing the navigation is built from changed
+ */
+export function sameSignature(previous, current) {
+  return compareSignatures(previous, current)?.size === 0;
+}
+
+/**
+ * List the pages whose own item was renamed between two signatures, when
+ * nothing else that can reshape the tree changed. Changes to `item` fields
+ * are allowed but not listed.
+ * @param {Object} previous - The signature of the previous build
+ * @param {Object} current - The signature of this build
+ * @returns {Set<string>|null} Paths of the renamed pages, or null if the tree may have changed
+ */
+export function retitledPages(previous, current) {
+  const changes = compareSignatures(previous, current);
+  if (changes === null || [...changes.values()].includes('tree')) {
+    return null;
+  }
+  return new Set([...changes].filter(([, kind]) => kind === 'title').map(([path]) => path));
+}
+
+/**
+ * Keep the breadcrumbs of an earlier build that renamed pages cannot have
+ * changed: those that do not pass through any of them. Only valid when the
+ * tree kept its shape, as retitledPages reports.
+ * @param {Map<string, Array>} breadcrumbs - Breadcrumbs of the earlier build, by path
+ * @param {Set<string>} retitled - Paths of the renamed pages
+ * @param {Object} files - The pages, or a locale's view of them
+ * @param {Object} options - Plugin options
+ * @returns {Map<string, Array>} The breadcrumbs still valid, by path
+ */
+export function reusableBreadcrumbs(breadcrumbs, retitled, files, options) {
+  const renamed = new Set([...retitled].map((path) => withBasePath(fileUrlPath(path, options, files[path]), options)));
+  const kept = new Map();
+  breadcrumbs.forEach((crumbs, path) => {
+    if (!crumbs.some((crumb) => renamed.has(crumb.path))) {
+      kept.set(path, crumbs);
+    }
+  });
+  return kept;
+}
+
+/**
+ * Check whether a navigation or menu rule compares a date with `'now'`.
+ * Such a rule can match other pages in a later build with the same
+ * frontmatter, so a signature cannot describe its result.
+ * @param {Object} options - Plugin options
+ * @returns {boolean} True if a rule reads the time of the build
+ */
+export function readsBuildTime(options) {
+  return [options, ...Object.values(options.menus || {})].some((config) =>
+    [...(config.navExcludePatterns || []), ...(config.navIncludePatterns || [])]
+      .filter((rule) => rule !== null && typeof rule === 'object' && !(rule instanceof RegExp))
+      .some((rule) =>
+        Object.values(rule).some(
+          (condition) => condition?.constructor === Object && Object.values(condition).includes('now')
+        )
+      )
+  );
+}
+
+/**
+ * Write per-file outputs recorded in an earlier build to the current file
+ * objects, through the same writers so fileKey and onCollision still apply.
+ * Breadcrumb structured data is injected again in `'inject'` mode, since
+ * the contents are new.
+ * @param {Object} files - The pages, or a locale's view of them
+ * @param {Map<string, Array<[string|null, *]>>} outputs - Recorded `[field, value]` pairs by path, null standing
+ *   for the URL path
+ * @param {Object} options - Plugin options
+ */
+export function replayOutputs(files, outputs, options) {
+  outputs.forEach((entries, path) => {
+    const file = files[path];
+    entries.forEach(([field, value]) => {
+      if (field === null) {
+        setUrlPath(file, path, value, options);
+        return;
+      }
+      setFileOutput(file, path, field, value, options);
+      if (field === 'breadcrumbsJsonLd' && value && options.breadcrumbsJsonLd === 'inject') {
+        injectJsonLd(file, value);
+      }
+    });
+  });
+}
+
+/**
+ * Compare two signatures page by page
+ * @param {Object} previous - The signature of the previous build
+ * @param {Object} current - The signature of this build
+ * @returns {Map<string, string>|null} The most far-reaching kind of change by changed page, or null if the pages
+ *   or fields differ
+ */
+function compareSignatures(previous, current) {
+  if (previous.rows.size !== current.rows.size || JSON.stringify(previous.fields) !== JSON.stringify(current.fields)) {
+    return null;
+  }
+  const changes = new Map();
+  const previousPaths = previous.rows.keys();
+  for (const [path, row] of current.rows) {
+    // Page order decides the order of the tree before sorting, so it is part of the signature
+    if (previousPaths.next().value !== path) {
+      return null;
+    }
+    const before = previous.rows.get(path);
+    row.forEach((value, index) => {
+      if (value === before[index]) {
+        return;
+      }
+      const kind = current.fields[index][1];
+      if (FIELD_KINDS.indexOf(kind) > FIELD_KINDS.indexOf(changes.get(path))) {
+        changes.set(path, kind);
+      }
+    });
+  }
+  return changes;
+}
+
+/**
+ * Read one signature field of a page
+ * @param {Object} file - The file metadata
+ * @param {string} field - The field, dotted for a key of the navigation object
+ * @returns {*} The value
+ */
+function fieldValue(file, field) {
+  // The first heading is only read from contents when a title fallback asks for it
+  if (field === 'contents') {
+    return String(file.contents ?? '');
+  }
+  if (field === 'navigation' && file.navigation?.constructor === Object) {
+    const { navLabel, navIndex, menus, ...rest } = file.navigation;
+    return rest;
+  }
+  return field.split('.').reduce((data, part) => data?.[part], file);
+}
+
+/**
+ * List the frontmatter fields the options make the navigation depend on,
+ * with the kind of each
+ * @param {Object} options - Plugin options
+ * @returns {Array<[string, string]>} Fields and kinds, PAGE_FIELDS first
+ */
+function signatureFields(options) {
+  const fields = new Map(Object.entries(PAGE_FIELDS));
+  const add = (field, kind) => {
+    const name = field.split('.')[0];
+    fields.forEach((current, key) => {
+      if ((key === name || key.startsWith(`${name}.`)) && FIELD_KINDS.indexOf(kind) > FIELD_KINDS.indexOf(current)) {
+        fields.set(key, kind);
+      }
+    });
+    if (!fields.has(name)) {
+      fields.set(name, kind);
+    }
+  };
+  const configs = [options, ...Object.values(options.menus || {})];
+
+  configs.forEach((config) => {
+    const sortBy = config.sortBy;
+    const sortRules =
+      sortBy !== null && typeof sortBy === 'object' && !Array.isArray(sortBy) ? Object.values(sortBy) : [sortBy];
+    sortRules
+      .filter((rule) => typeof rule === 'string' || Array.isArray(rule))
+      .forEach((rule) => {
+        [].concat(rule).forEach((key) => {
+          add(key.replace(/^-/, ''), 'item');
+        });
+      });
+    [...(config.navExcludePatterns || []), ...(config.navIncludePatterns || [])]
+      .filter((rule) => rule !== null && typeof rule === 'object' && !(rule instanceof RegExp))
+      .forEach((rule) => {
+        Object.keys(rule).forEach((field) => {
+          add(field, 'tree');
+        });
+      });
+  });
+  if (Array.isArray(options.fields)) {
+    options.fields.forEach((field) => {
+      add(field, 'item');
+    });
+  }
+  if ([].concat(options.titleFallback ?? []).includes('firstHeading')) {
+    add('contents', 'title');
+  }
+  (options.incremental?.fields || []).forEach((field) => {
+    add(field, 'tree');
+  });
+  // A section label linking to its first child follows any change of order or title
+  if (options.missingIndex === 'link-first-child') {
+    [...fields.keys()].forEach((key) => {
+      fields.set(key, 'tree');
+    });
+  }
+  return [...fields];
+}
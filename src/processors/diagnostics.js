@@ -0,0 +1,109 @@
+/**
+ * Navigation diagnostics for metalsmith-menu-plus
+ */
+
+import { INTERNAL } from '../utils/index.js';
+import { flattenNavigation, VISIBILITY_STATES } from './navigation.js';
+
+/**
+ * Look for configuration mistakes that would otherwise fail silently:
+ *
+ * - `unmatched-nav-index`: an `options.navIndex` key that matches no item
+ * - `invalid-nav-index`: a navIndex in frontmatter or options that is not a number
+ * - `duplicate-title`: sibling items that share a title
+ * - `missing-index`: a directory item with no index page, whose link leads nowhere
+ * - `invalid-visibility`: a navigation.visibility in frontmatter that is not a known state
+ *
+ * Each group is one navigation build (one per locale in i18n mode). A navIndex
+ * key only counts as unmatched when no group has an item for it.
+ * @param {Array<{files: Object, paths: Array<string>, options: Object, fullNavigation: Array}>} groups - Built groups
+ * @param {Object} options - Plugin options
+ * @returns {Array<{type: string, path: string|null, message: string, locale?: string}>} Diagnostics, in a stable order
+ */
+export function collectDiagnostics(groups, options) {
+  const diagnostics = [];
+
+  Object.entries(options.navIndex || {}).forEach(([key, value]) => {
+    if (typeof value !== 'number' || Number.isNaN(value)) {
+      diagnostics.push({
+        type: 'invalid-nav-index',
+        path: key,
+        message: `navIndex key '${key}' has a non-numeric value (${JSON.stringify(value)})`
+      });
+    }
+    const matched = groups.some((group) =>
+      flattenNavigation(group.fullNavigation).some((item) => item.path === key || item.path === `${key}/`)
+    );
+    if (!matched) {
+      diagnostics.push({
+        type: 'unmatched-nav-index',
+        path: key,
+        message: `navIndex key '${key}' matches no navigation item`
+      });
+    }
+  });
+
+  groups.forEach((group) => {
+    const locale = group.options.locale;
+    const add = (diagnostic) => diagnostics.push(locale ? { ...diagnostic, locale } : diagnostic);
+
+    group.paths.forEach((path) => {
+      const navIndex = group.files[path].navigation?.navIndex;
+      if (navIndex !== undefined && navIndex !== null && (typeof navIndex !== 'number' || Number.isNaN(navIndex))) {
+        add({
+          type: 'invalid-nav-index',
+          path,
+          message: `'${path}' has a non-numeric navigation.navIndex (${JSON.stringify(navIndex)})`
+        });
+      }
+      const visibility = group.files[path].navigation?.visibility;
+      if (visibility !== undefined && !VISIBILITY_STATES.includes(visibility)) {
+        add({
+          type: 'invalid-visibility',
+          path,
+          message: `'${path}' has an unknown navigation.visibility (${JSON.stringify(visibility)}), so it is treated as visible`
+        });
+      }
+    });
+
+    checkLevel(group.fullNavigation, null, add);
+  });
+
+  return diagnostics;
+}
+
+/**
+ * Check one level of the tree for duplicate titles and directories without
+ * an index page, then recurse into the children.
+ * @param {Array} items - Sibling navigation items
+ * @param {Object|null} parent - Their parent item, null at the top level
+ * @param {Function} add - Records a diagnostic
+ */
+function checkLevel(items, parent, add) {
+  const byTitle = new Map();
+  items.forEach((item) => {
+    byTitle.set(item.title, (byTitle.get(item.title) || 0) + 1);
+  });
+  byTitle.forEach((count, title) => {
+    if (count > 1) {
+      // Section labels without a link are named by their title
+      const where = parent === null ? 'the top level' : `'${parent.path ?? parent.title}'`;
+      add({
+        type: 'duplicate-title',
+        path: parent?.path ?? null,
+        message: `${count} items under ${where} share the title '${title}'`
+      });
+    }
+  });
+
+  items.forEach((item) => {
+    if (item[INTERNAL.source] === null && !item[INTERNAL.extra] && !item[INTERNAL.section]) {
+      add({
+        type: 'missing-index',
+        path: item.path,
+        message: `'${item.path}' has no index page, so its link leads nowhere`
+      });
+    }
+    checkLevel(item.children || [], item, add);
+  });
+}
@@ -0,0 +1,123 @@
+/**
+ * Multilingual navigation for metalsmith-menu-plus
+ */
+
+import { fileUrlPath, findExclusion, setFileOutput, withBasePath } from '../utils/index.js';
+
+/**
+ * Split pages into one group per locale. A file's locale is the first
+ * segment of its path when that is a configured locale (`de/about.html`),
+ * otherwise its `lang` frontmatter, otherwise `i18n.defaultLocale`.
+ *
+ * Each group holds a view of the files keyed by locale-relative paths
+ * (`de/about.html` becomes `about.html`) and options whose basePath ends in
+ * the locale directory, so the rest of the pipeline treats every locale as
+ * its own site. The views share the file objects with `files`, so per-file
+ * outputs land on the real files.
+ *
+ * A page outside the locale directories whose locale lives in its own
+ * directory, such as a root language-redirect page, belongs to no locale
+ * when it has no `lang` or is kept out of the navigation; it gets no
+ * navigation outputs.
+ *
+ * @param {Object} files - The Metalsmith files object
+ * @param {Array<string>} paths - Page paths
+ * @param {Object} options - Plugin options
+ * @returns {Map<string, {files: Object, options: Object}>} Groups keyed by locale, in configured order
+ * @throws {Error} If a file names an unknown `lang`, or a locale mixes both layouts
+ */
+export function groupByLocale(files, paths, options) {
+  const { locales, defaultLocale = locales[0] } = options.i18n;
+  const groups = new Map(locales.map((locale) => [locale, { files: {}, layouts: new Set() }]));
+
+  const outside = [];
+
+  paths.forEach((path) => {
+    const [first, ...rest] = path.split('/');
+    if (rest.length > 0 && locales.includes(first)) {
+      const group = groups.get(first);
+      group.files[rest.join('/')] = files[path];
+      group.layouts.add('directory');
+    } else {
+      outside.push(path);
+    }
+  });
+
+  // Directory pages go first, so each page here knows whether its locale has a directory
+  outside.forEach((path) => {
+    const file = files[path];
+    const lang = file.lang ?? null;
+    const locale = lang ?? defaultLocale;
+    if (!groups.has(locale)) {
+      throw new Error(`metalsmith-menu-plus: '${path}' has lang '${locale}', which is not in i18n.locales`);
+    }
+    const group = groups.get(locale);
+    if (group.layouts.has('directory') && (lang === null || findExclusion(path, file, options) !== null)) {
+      return;
+    }
+    group.files[path] = file;
+    group.layouts.add('lang');
+  });
+
+  const result = new Map();
+  groups.forEach((group, locale) => {
+    if (group.layouts.size > 1) {
+      throw new Error(
+        `metalsmith-menu-plus: locale '${locale}' has pages both inside and outside its '${locale}/' directory`
+      );
+    }
+    const basePath = group.layouts.has('directory') ? withBasePath(`/${locale}/`, options) : options.basePath;
+    const localeOptions = { ...options, basePath, locale };
+    Object.entries(group.files).forEach(([path, file]) => {
+      setFileOutput(file, path, 'locale', locale, options);
+    });
+    result.set(locale, { files: group.files, options: localeOptions });
+  });
+  return result;
+}
+
+/**
+ * Link each page to its translations in `file.navigation.alternates`, an
+ * array of `{ locale, title, path }` for every other locale that has a page
+ * with the same translation key. The key is the page's `translationKey`
+ * frontmatter, or its locale-relative path. Drafts are never linked.
+ * @param {Map<string, {files: Object, options: Object}>} locales - Groups from groupByLocale
+ */
+export function generateAlternates(locales) {
+  const pages = [];
+  locales.forEach((group, locale) => {
+    Object.entries(group.files).forEach(([path, file]) => {
+      pages.push({
+        locale,
+        file,
+        source: path,
+        options: group.options,
+        key: file.translationKey ?? path,
+        path: withBasePath(fileUrlPath(path, group.options, file), group.options)
+      });
+    });
+  });
+
+  const byKey = new Map();
+  pages.forEach((page) => {
+    if (page.file.draft === true) {
+      return;
+    }
+    if (!byKey.has(page.key)) {
+      byKey.set(page.key, []);
+    }
+    byKey.get(page.key).push(page);
+  });
+
+  pages.forEach((page) => {
+    const translations = byKey.get(page.key) || [];
+    const alternates = translations
+      .filter((other) => other.locale !== page.locale)
+      .map((other) => ({
+        locale: other.locale,
+        title: other.file.navigation?.navLabel || other.file.title || null,
+        path: other.path
+      }));
+    setFileOutput(page.file, page.source, 'alternates', alternates, page.options);
+  });
+}
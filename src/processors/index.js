@@ -2,5 +2,51 @@
  * Processing functions for metalsmith-menu-plus
  */
 
-export { findBreadcrumbs, generateBreadcrumbs } from './breadcrumbs.js';
-export { createNavItem, createNavigationStructure, findSectionByPath, sortNavigation } from './navigation.js';
+export { generateActiveTrail, markActiveTrail } from './active.js';
+export {
+  breadcrumbsToJsonLd,
+  findAncestry,
+  findBreadcrumbs,
+  findTrail,
+  generateBreadcrumbs,
+  indexTrails,
+  injectJsonLd,
+  pageBreadcrumbs
+} from './breadcrumbs.js';
+export {
+  navigationSignature,
+  readsBuildTime,
+  replayOutputs,
+  retitledPages,
+  reusableBreadcrumbs,
+  sameSignature
+} from './cache.js';
+export { collectDiagnostics } from './diagnostics.js';
+export { generateAlternates, groupByLocale } from './i18n.js';
+export { generateJson } from './json.js';
+export { buildMenus } from './menus.js';
+export {
+  addExtraItems,
+  addItemFields,
+  applyLogicalParents,
+  collapseNavigation,
+  copyNavItem,
+  createNavItem,
+  createNavigationStructure,
+  filterNavigation,
+  findSectionByPath,
+  flattenNavigation,
+  narrowToRoot,
+  prefixNavigation,
+  RESERVED_ITEM_KEYS,
+  resolveMissingIndexes,
+  showsInMenus,
+  showsInTrail,
+  sortNavigation,
+  trimNavigation,
+  VISIBILITY_STATES
+} from './navigation.js';
+export { generateRenderedHtml, renderBreadcrumbs, renderMenu } from './render.js';
+export { generateLocalNavigation } from './sections.js';
+export { generatePrevNext } from './sequence.js';
+export { generateSitemap } from './sitemap.js';
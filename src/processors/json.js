@@ -0,0 +1,74 @@
+/**
+ * JSON export of the navigation for metalsmith-menu-plus
+ */
+
+const TREE_FIELDS = ['title', 'path', 'navIndex', 'external', 'children'];
+const FLAT_FIELDS = ['path', 'title', 'parentPath', 'depth'];
+
+/**
+ * Write the navigation to a JSON file in `files`, either as the nested tree
+ * or as a flat index of `{ path, title, parentPath, depth }` entries in tree
+ * order. `fields` picks which keys each entry gets, in that order; keys an
+ * item does not have are left out. In i18n mode the file holds one
+ * navigation per locale, keyed by locale.
+ *
+ * The output has no timestamps and a fixed key order, so an unchanged
+ * navigation gives a byte-identical file.
+ * @param {Object} files - The Metalsmith files object
+ * @param {Array|Object<string, Array>} navigation - The metadata navigation, or one per locale
+ * @param {Object} options - Plugin options
+ */
+export function generateJson(files, navigation, options) {
+  const config = options.emitJson === true ? {} : options.emitJson;
+  const { filename = 'navigation.json', flat = false } = config;
+  const fields = config.fields || (flat ? FLAT_FIELDS : TREE_FIELDS);
+  const serialize = (items) => (flat ? toFlatIndex(items, fields, null, 1) : toTree(items, fields));
+
+  const data = Array.isArray(navigation)
+    ? serialize(navigation)
+    : Object.fromEntries(Object.entries(navigation).map(([locale, items]) => [locale, serialize(items)]));
+  files[filename] = { contents: Buffer.from(`${JSON.stringify(data, null, 2)}\n`) };
+}
+
+/**
+ * Copy the selected fields of each item, recursing into children when
+ * `children` is one of the fields.
+ * @param {Array} items - Navigation items
+ * @param {Array<string>} fields - Keys to keep, in output order
+ * @returns {Array<Object>} The serializable tree
+ */
+function toTree(items, fields) {
+  return items.map((item) => {
+    const entry = {};
+    fields.forEach((field) => {
+      if (field === 'children') {
+        entry.children = toTree(item.children || [], fields);
+      } else if (item[field] !== undefined) {
+        entry[field] = item[field];
+      }
+    });
+    return entry;
+  });
+}
+
+/**
+ * Flatten the tree depth-first into entries that record their parent's path
+ * and their depth, top-level items being depth 1.
+ * @param {Array} items - Navigation items
+ * @param {Array<string>} fields - Keys to keep, in output order
+ * @param {string|null} parentPath - Path of the items' parent, null at the top level
+ * @param {number} depth - Depth of the items
+ * @returns {Array<Object>} The flat index
+ */
+function toFlatIndex(items, fields, parentPath, depth) {
+  return items.flatMap((item) => {
+    const source = { ...item, parentPath, depth };
+    const entry = {};
+    fields.forEach((field) => {
+      if (field !== 'children' && source[field] !== undefined) {
+        entry[field] = source[field];
+      }
+    });
+    return [entry, ...toFlatIndex(item.children || [], fields, item.path, depth + 1)];
+  });
+}
@@ -0,0 +1,70 @@
+/**
+ * Named menu generation for metalsmith-menu-plus
+ */
+
+import { INTERNAL, shouldExclude } from '../utils/index.js';
+import {
+  collapseNavigation,
+  filterNavigation,
+  narrowToRoot,
+  resolveMissingIndexes,
+  showsInMenus,
+  sortNavigation,
+  trimNavigation
+} from './navigation.js';
+
+/**
+ * Build every menu declared in `options.menus` from one shared, unsorted
+ * navigation structure. Each menu filters a copy of that structure with its
+ * own exclusion rules, then sorts, applies its missingIndex strategy,
+ * collapses large sections, narrows to its rootPath and trims to its
+ * maxDepth. The shared structure is never modified.
+ *
+ * Menu options other than rootPath fall back to the top-level plugin
+ * options; a menu's metadata key defaults to its name. A menu with
+ * `optIn: true` only contains pages that list its name in their
+ * `navigation.menus` frontmatter, and extra items that list it in `menus`.
+ * Pages whose visibility keeps them out of menus are left out of every menu,
+ * their children taking their place.
+ *
+ * @param {Array} navigation - The shared, unsorted navigation structure
+ * @param {Object} files - The Metalsmith files object
+ * @param {Object} options - Plugin options
+ * @returns {Object<string, Array>} Menus keyed by their metadata key
+ */
+export function buildMenus(navigation, files, options) {
+  const menus = {};
+
+  Object.entries(options.menus || {}).forEach(([name, menuConfig]) => {
+    const { menus: _menus, metadataKey: _metadataKey, ...inherited } = options;
+    const menuOpts = { ...inherited, rootPath: '/', optIn: false, ...menuConfig };
+
+    const items = filterNavigation(navigation, (item, children) => {
+      if (item[INTERNAL.extra]) {
+        return !menuOpts.optIn || item[INTERNAL.extra].menus?.includes(name) === true;
+      }
+      // Directories without an index page only exist to hold their children
+      if (item[INTERNAL.source] === null) {
+        return children.length > 0;
+      }
+      if (!showsInMenus(item)) {
+        return false;
+      }
+      const file = files[item[INTERNAL.source]];
+      if (menuOpts.optIn && !file?.navigation?.menus?.includes(name)) {
+        return false;
+      }
+      return !shouldExclude(item[INTERNAL.source], file, menuOpts);
+    });
+    sortNavigation(items, menuOpts, files);
+
+    const resolved = resolveMissingIndexes(items, menuOpts, files);
+    let menu = narrowToRoot(collapseNavigation(resolved, menuOpts), menuOpts.rootPath);
+    if (menuOpts.maxDepth) {
+      menu = trimNavigation(menu, menuOpts.maxDepth);
+    }
+    menus[menuOpts.metadataKey || name] = menu;
+  });
+
+  return menus;
+}
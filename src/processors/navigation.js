@@ -2,22 +2,44 @@
  * Navigation structure generation for metalsmith-menu-plus
  */
 
-import { createChildPath, createDirectoryPath, createPath, normalizePath } from '../utils/index.js';
+import {
+  createChildPath,
+  createComparator,
+  createDirectoryPath,
+  createPath,
+  declaredPermalink,
+  fallbackTitle,
+  INTERNAL,
+  matchesSectionPath,
+  pageStem,
+  parseNumericPrefix,
+  selectSortRule,
+  withBasePath
+} from '../utils/index.js';
+
+/**
+ * Values of `navigation.visibility` in frontmatter. `hidden` pages stay in
+ * the tree so their children keep their place, but show in neither menus nor
+ * breadcrumbs; `breadcrumbOnly` pages only leave the menus, `menuOnly` pages
+ * only leave breadcrumbs and previous/next links.
+ */
+export const VISIBILITY_STATES = ['visible', 'hidden', 'breadcrumbOnly', 'menuOnly'];
 
 /**
  * Creates a navigation item object
  *
- * Title resolution order: navigation.navLabel → file.title → raw filename.
- * Filename is used verbatim — no transformation — so set `title` or
- * `navigation.navLabel` in frontmatter for human-readable labels.
+ * Title resolution order: navigation.navLabel → file.title → `name`.
+ * createNavigationStructure passes names through options.titleFallback
+ * first; without it the filename is used verbatim.
  *
  * @param {string} name - The default name derived from filename
  * @param {Object} fileData - The file data object
  * @param {string} path - The URL path
  * @param {Array} [children=[]] - Child navigation items
+ * @param {string|null} [source=null] - The files key the item was built from
  * @returns {Object} The navigation item
  */
-export function createNavItem(name, fileData, path, children = []) {
+export function createNavItem(name, fileData, path, children = [], source = null) {
   let title;
 
   if (fileData?.navigation?.navLabel) {
@@ -34,12 +56,212 @@ export function createNavItem(name, fileData, path, children = []) {
     navIndex = fileData.navigation.navIndex;
   }
 
-  return {
+  const item = {
     title: title,
     path: path,
     navIndex: navIndex,
     children: children
   };
+  defineHidden(item, INTERNAL.source, source);
+  const visibility = fileData?.navigation?.visibility;
+  if (VISIBILITY_STATES.includes(visibility) && visibility !== 'visible') {
+    defineHidden(item, INTERNAL.visibility, visibility);
+  }
+  return item;
+}
+
+/**
+ * Check whether an item shows in menus, that is every displayed copy of the
+ * tree. Items that do not are removed with filterNavigation, which lifts
+ * their children into their place.
+ * @param {Object} item - Navigation item
+ * @returns {boolean} True unless the item's visibility is `hidden` or `breadcrumbOnly`
+ */
+export function showsInMenus(item) {
+  return item[INTERNAL.visibility] !== 'hidden' && item[INTERNAL.visibility] !== 'breadcrumbOnly';
+}
+
+/**
+ * Check whether an item shows in breadcrumbs and previous/next links
+ * @param {Object} item - Navigation item
+ * @returns {boolean} True unless the item's visibility is `hidden` or `menuOnly`
+ */
+export function showsInTrail(item) {
+  return item[INTERNAL.visibility] !== 'hidden' && item[INTERNAL.visibility] !== 'menuOnly';
+}
+
+/**
+ * Attach internal bookkeeping to a navigation item, under a key of INTERNAL
+ * or as the `more` count of a "more" item. The property is non-enumerable
+ * so the public NavItem shape (and any JSON dump of it) stays
+ * `{ title, path, navIndex, children }`.
+ * @param {Object} item - Navigation item
+ * @param {string|symbol} key - Property key
+ * @param {*} value - Property value
+ */
+function defineHidden(item, key, value) {
+  Object.defineProperty(item, key, { value, writable: true, configurable: true });
+}
+
+/**
+ * Shallow-copy a navigation item, keeping its non-enumerable bookkeeping.
+ * The copy remembers the item it ultimately came from as `origin`, so a
+ * copy of a copy can still be matched against the tree it was made from.
+ * @param {Object} item - Navigation item to copy
+ * @param {Array} children - Children for the copy
+ * @returns {Object} The copied navigation item
+ */
+export function copyNavItem(item, children) {
+  const copy = { ...item, children };
+  Reflect.ownKeys(item).forEach((key) => {
+    if (!Object.prototype.propertyIsEnumerable.call(item, key)) {
+      defineHidden(copy, key, item[key]);
+    }
+  });
+  defineHidden(copy, INTERNAL.origin, item[INTERNAL.origin] ?? item);
+  return copy;
+}
+
+/**
+ * Merge manually declared items, such as external links, into the
+ * navigation structure. Each item is appended to the children of the item
+ * whose path matches its `parent`, or to the top level when it has no
+ * parent, so it sorts and nests like a page. Items are added in order, so
+ * an item may use an earlier one as its parent.
+ * @param {Array} navigation - The navigation structure, modified in place
+ * @param {Array<Object>} extraItems - Items declared in options.extraItems
+ * @throws {Error} If an item names a parent that is not in the navigation
+ */
+export function addExtraItems(navigation, extraItems) {
+  extraItems.forEach((extra) => {
+    const item = {
+      title: extra.title,
+      path: extra.url,
+      navIndex: extra.navIndex ?? null,
+      children: [],
+      external: extra.external === true
+    };
+    defineHidden(item, INTERNAL.source, null);
+    defineHidden(item, INTERNAL.extra, extra);
+
+    if (!extra.parent) {
+      navigation.push(item);
+      return;
+    }
+    const parent = findSectionByPath(extra.parent, navigation);
+    if (!parent) {
+      throw new Error(`metalsmith-menu-plus: extra item '${extra.title}' has unknown parent '${extra.parent}'`);
+    }
+    parent.children.push(item);
+  });
+}
+
+/**
+ * Keys of NavItem that options.fields can never set
+ */
+export const RESERVED_ITEM_KEYS = [
+  'title',
+  'path',
+  'navIndex',
+  'children',
+  'external',
+  'isActive',
+  'isInActiveTrail',
+  'isExpanded',
+  'more'
+];
+
+/**
+ * Copy page data onto navigation items as set by options.fields: an array
+ * of frontmatter fields (dots for nested fields, the last segment becomes
+ * the item key, so `navigation.icon` becomes `icon`) or a function
+ * `(file, item) => extra` whose result is merged into the item. Directory
+ * items read their index or paired file; items without a page (extra items
+ * and directories without an index) get nothing.
+ * @param {Array} navigation - The navigation structure, modified in place
+ * @param {Object} files - The Metalsmith files object
+ * @param {Object} options - Plugin options
+ * @throws {Error} If a fields function returns a reserved NavItem key
+ */
+export function addItemFields(navigation, files, options) {
+  if (!options.fields) {
+    return;
+  }
+  flattenNavigation(navigation).forEach((item) => {
+    const file = files[item[INTERNAL.source]];
+    if (!file) {
+      return;
+    }
+    if (typeof options.fields === 'function') {
+      const extra = options.fields(file, item) || {};
+      Object.keys(extra).forEach((key) => {
+        if (RESERVED_ITEM_KEYS.includes(key)) {
+          throw new Error(
+            `metalsmith-menu-plus: fields function returned reserved key '${key}' for '${item[INTERNAL.source]}'`
+          );
+        }
+      });
+      Object.assign(item, extra);
+      return;
+    }
+    options.fields.forEach((field) => {
+      const value = field.split('.').reduce((data, part) => data?.[part], file);
+      if (value !== undefined) {
+        item[field.split('.').pop()] = value;
+      }
+    });
+  });
+}
+
+/**
+ * Move pages that declare `navigation.parent` in frontmatter, together with
+ * their children, under the item whose path matches that parent. Moves are
+ * applied in tree order, so a page may name a parent that was itself moved.
+ * @param {Array} navigation - The navigation structure, modified in place
+ * @param {Object} files - The Metalsmith files object
+ * @throws {Error} If a parent is not in the navigation or the moves form a cycle
+ */
+export function applyLogicalParents(navigation, files) {
+  const moves = flattenNavigation(navigation).filter(
+    (item) => files[item[INTERNAL.source]]?.navigation?.parent !== undefined
+  );
+
+  moves.forEach((item) => {
+    const parentPath = files[item[INTERNAL.source]].navigation.parent;
+    const parent = typeof parentPath === 'string' ? findSectionByPath(parentPath, navigation) : null;
+    if (!parent) {
+      throw new Error(
+        `metalsmith-menu-plus: '${item[INTERNAL.source]}' names unknown navigation.parent '${parentPath}'`
+      );
+    }
+    if (flattenNavigation([item]).includes(parent)) {
+      throw new Error(
+        `metalsmith-menu-plus: navigation.parent '${parentPath}' of '${item[INTERNAL.source]}' creates a parent cycle`
+      );
+    }
+    const siblings = findContainer(item, navigation);
+    siblings.splice(siblings.indexOf(item), 1);
+    parent.children.push(item);
+  });
+}
+
+/**
+ * Find the array of items that holds a given item.
+ * @param {Object} item - The navigation item to look for
+ * @param {Array} items - The navigation items to search
+ * @returns {Array|null} The holding array, or null if the item is not in the tree
+ */
+function findContainer(item, items) {
+  if (items.includes(item)) {
+    return items;
+  }
+  for (const candidate of items) {
+    const result = findContainer(item, candidate.children || []);
+    if (result) {
+      return result;
+    }
+  }
+  return null;
 }
 
 /**
@@ -52,6 +274,8 @@ export function createNavItem(name, fileData, path, children = []) {
 export function createNavigationStructure(paths, files, options) {
   // Initialize the root level navigation structure
   const navTree = {};
+  // Pages are paired by name whatever their extension, so `blog.md` pairs with `blog/`
+  const sourcesByStem = new Map(Object.keys(files).map((path) => [pageStem(path, options), path]));
 
   // First, create a map of all directories
   paths.forEach((path) => {
@@ -91,35 +315,33 @@ export function createNavigationStructure(paths, files, options) {
   });
 
   // Process a directory and its contents.
-  // Subdirectories are paired with sibling .html files of the same name
-  // (e.g. blog/posts.html next to blog/posts/) so the file becomes the
+  // Subdirectories are paired with sibling pages of the same name
+  // (e.g. blog/posts.md next to blog/posts/) so the file becomes the
   // nav item and the directory's contents become its children.
   function processDirectory(dirName, dirData, dirPath) {
     const children = [];
-    const indexPath = `${dirPath}/index.html`;
-    const indexFile = files[indexPath];
-
     const subDirNames = Object.keys(dirData.__dirs);
     const pairedFilePaths = new Set();
 
     subDirNames.forEach((subDirName) => {
       const subDirPath = `${dirPath}/${subDirName}`;
-      const siblingFilePath = `${dirPath}/${subDirName}.html`;
-      const siblingFile = dirData.__files?.includes(siblingFilePath) ? files[siblingFilePath] : null;
+      const siblingFilePath = dirData.__files?.find((path) => pageStem(path, options) === subDirPath);
+      const siblingFile = siblingFilePath ? files[siblingFilePath] : null;
 
       const subDirItem = processDirectory(subDirName, dirData.__dirs[subDirName], subDirPath);
 
       if (siblingFile) {
         pairedFilePaths.add(siblingFilePath);
-        const urlPath = createChildPath(siblingFilePath, subDirName, dirPath, options);
-        children.push(createNavItem(subDirName, siblingFile, urlPath, subDirItem.children));
+        const urlPath =
+          declaredPermalink(siblingFile, options) ?? createChildPath(siblingFilePath, subDirName, dirPath, options);
+        children.push(navItem(subDirName, siblingFile, urlPath, subDirItem.children, siblingFilePath));
       } else {
         children.push(subDirItem);
       }
     });
 
     dirData.__files?.forEach((path) => {
-      if (path.endsWith('/index.html')) {
+      if (pageStem(path, options) === `${dirPath}/index`) {
         return;
       }
       if (pairedFilePaths.has(path)) {
@@ -127,13 +349,46 @@ export function createNavigationStructure(paths, files, options) {
       }
       const segments = path.split('/');
       const fileName = segments[segments.length - 1];
-      const name = fileName.replace('.html', '');
-      const urlPath = createChildPath(path, name, dirPath, options);
-      children.push(createNavItem(name, files[path], urlPath, []));
+      const name = pageStem(fileName, options);
+      const urlPath = declaredPermalink(files[path], options) ?? createChildPath(path, name, dirPath, options);
+      children.push(navItem(name, files[path], urlPath, [], path));
     });
 
+    return createDirectoryItem(dirName, dirPath, children);
+  }
+
+  // Create the item for a directory that has no sibling page. Without an
+  // index page it is only a section label, titled from options.sectionLabels.
+  function createDirectoryItem(dirName, dirPath, children) {
+    const indexPath = sourcesByStem.get(`${dirPath}/index`);
+    if (indexPath) {
+      const indexFile = files[indexPath];
+      const urlPath = declaredPermalink(indexFile, options) ?? createChildPath(indexPath, 'index', dirPath, options);
+      return navItem(dirName, indexFile, urlPath, children, indexPath);
+    }
     const dirUrlPath = createDirectoryPath(dirPath, options);
-    return createNavItem(dirName, indexFile || null, dirUrlPath, children);
+    const { index, name } = splitName(dirName);
+    const labels = options.sectionLabels || {};
+    const label = labels[`/${dirPath}/`] ?? labels[`/${dirPath}`] ?? fallbackTitle(name, null, dirUrlPath, options);
+    const item = createNavItem(label, null, dirUrlPath, children, null);
+    defineHidden(item, INTERNAL.prefixIndex, index);
+    return item;
+  }
+
+  // Create a page item. Names only become titles when the page sets neither
+  // navLabel nor title, so options.titleFallback only runs then.
+  function navItem(fileName, file, urlPath, children, source) {
+    const { index, name } = splitName(fileName);
+    const hasTitle = Boolean(file?.navigation?.navLabel || file?.title);
+    const label = hasTitle ? name : fallbackTitle(name, file, urlPath, options);
+    const item = createNavItem(label, file, urlPath, children, source);
+    defineHidden(item, INTERNAL.prefixIndex, index);
+    return item;
+  }
+
+  // With options.numericPrefixes, '01-install' sorts as 1 and is titled 'install'
+  function splitName(name) {
+    return options.numericPrefixes ? parseNumericPrefix(name) : { index: null, name };
   }
 
   // Now convert the tree to navigation items
@@ -141,46 +396,42 @@ export function createNavigationStructure(paths, files, options) {
     const items = [];
 
     // Add the home/index item if it exists
-    const rootIndex = tree.__files?.find((f) => f === 'index.html');
+    const rootIndex = tree.__files?.find((f) => pageStem(f, options) === 'index');
     if (rootIndex) {
-      items.push(createNavItem('home', files[rootIndex], '/', []));
+      const homeUrlPath = declaredPermalink(files[rootIndex], options) ?? '/';
+      items.push(navItem('home', files[rootIndex], homeUrlPath, [], rootIndex));
     }
 
     // Process all directories at root level
     Object.keys(tree).forEach((dirName) => {
       if (dirName !== '__files' && dirName !== '__dirs') {
-        // Check if there's a corresponding HTML file for this directory
-        const dirFile = `${dirName}.html`;
-        const hasMatchingFile = tree.__files?.includes(dirFile);
+        // Check if there's a corresponding page for this directory
+        const dirFile = tree.__files?.find((f) => pageStem(f, options) === dirName);
 
         // Process the directory's children
         const dirPath = dirName;
         const children = processDirectory(dirName, tree[dirName], dirPath).children;
 
-        if (hasMatchingFile) {
+        if (dirFile) {
           // If there's a matching file, add children to that nav item
-          const name = dirFile.replace('.html', '');
-          const urlPath = createPath(dirFile, name, options);
-          items.push(createNavItem(name, files[dirFile], urlPath, children));
+          const urlPath = declaredPermalink(files[dirFile], options) ?? createPath(dirFile, dirName, options);
+          items.push(navItem(dirName, files[dirFile], urlPath, children, dirFile));
         } else {
           // Otherwise create a directory item
-          const dirUrlPath = createDirectoryPath(dirPath, options);
-          const indexPath = `${dirPath}/index.html`;
-          const indexFile = files[indexPath];
-          items.push(createNavItem(dirName, indexFile || null, dirUrlPath, children));
+          items.push(createDirectoryItem(dirName, dirPath, children));
         }
       }
     });
 
-    // Add remaining root level files (except index.html and those matching directories)
+    // Add remaining root level files (except the index page and those matching directories)
     const processedDirs = Object.keys(tree).filter((key) => key !== '__files' && key !== '__dirs');
-    const processedFiles = [`index.html`, ...processedDirs.map((dir) => `${dir}.html`)];
+    const processedNames = ['index', ...processedDirs];
 
     tree.__files?.forEach((path) => {
-      if (!processedFiles.includes(path)) {
-        const name = path.replace('.html', '');
-        const urlPath = createPath(path, name, options);
-        items.push(createNavItem(name, files[path], urlPath, []));
+      const name = pageStem(path, options);
+      if (!processedNames.includes(name)) {
+        const urlPath = declaredPermalink(files[path], options) ?? createPath(path, name, options);
+        items.push(navItem(name, files[path], urlPath, [], path));
       }
     });
 
@@ -192,21 +443,20 @@ export function createNavigationStructure(paths, files, options) {
 }
 
 /**
- * Find a section by its path in the navigation structure
+ * Find a section by its path in the navigation structure. A directory-style
+ * path finds the directory's item in both URL modes (see matchesSectionPath).
+ * Items are matched by their path before missingIndex changed it, so a
+ * directory without an index page is found by its own path whether it became
+ * a label or links to its first child.
  * @param {string} sectionPath - The path of the section to find
  * @param {Array} navigation - The navigation structure
  * @returns {Object|null} The section navigation item or null if not found
  */
 export function findSectionByPath(sectionPath, navigation) {
-  // Normalize the section path for comparison
-  const normalizedSectionPath = normalizePath(sectionPath);
-
   // Look for the section in the navigation
   for (const item of navigation) {
-    const normalizedItemPath = normalizePath(item.path);
-
     // If we found the section
-    if (normalizedItemPath === normalizedSectionPath) {
+    if (matchesSectionPath((item[INTERNAL.origin] ?? item).path, sectionPath)) {
       return item;
     }
 
@@ -222,6 +472,177 @@ export function findSectionByPath(sectionPath, navigation) {
   return null;
 }
 
+/**
+ * Build a copy of the navigation structure in which directories without an
+ * index page are handled by `options.missingIndex`:
+ *
+ * - `'link'` keeps the item linking to the directory URL (the tree is returned as-is)
+ * - `'link-first-child'` links the item to its first child page
+ * - `'no-link'` sets the item's path to null, so it renders as a plain label
+ * - `'hoist-children'` replaces the item with its children, sorted in with their new siblings
+ * - `'omit'` drops the item and its children
+ *
+ * Items that stay in the tree as labels get a non-enumerable `section` flag,
+ * so breadcrumbs, active trails and previous/next links never mistake them
+ * for the page they link to. Runs on a sorted tree, so "first" follows the
+ * sort order.
+ * @param {Array} items - The navigation items
+ * @param {Object} options - Plugin options
+ * @param {Object} [files={}] - The Metalsmith files object, for re-sorting hoisted items
+ * @param {string} [parentPath='/'] - Path of the items' parent, '/' for the top level
+ * @returns {Array} The resolved navigation items
+ */
+export function resolveMissingIndexes(items, options, files = {}, parentPath = '/') {
+  const strategy = options.missingIndex;
+  if (!strategy || strategy === 'link') {
+    return items;
+  }
+  let hoisted = false;
+  const result = items.flatMap((item) => {
+    const children = resolveMissingIndexes(item.children || [], options, files, item.path);
+    if (item[INTERNAL.source] !== null || item[INTERNAL.extra]) {
+      return [copyNavItem(item, children)];
+    }
+    if (strategy === 'hoist-children') {
+      hoisted = true;
+      return children;
+    }
+    if (strategy === 'omit') {
+      return [];
+    }
+    const copy = copyNavItem(item, children);
+    const firstPage = children.find((child) => child.path !== null && !child.external);
+    copy.path = strategy === 'link-first-child' && firstPage ? firstPage.path : null;
+    defineHidden(copy, INTERNAL.section, true);
+    return [copy];
+  });
+  if (hoisted) {
+    sortNavigation(result, options, files, parentPath);
+  }
+  return result;
+}
+
+/**
+ * Narrow a navigation tree to the children of the section at rootPath.
+ * A rootPath of '/' returns the tree unchanged; an unknown path yields [].
+ * @param {Array} navigation - The navigation structure
+ * @param {string} rootPath - The section path to start from
+ * @returns {Array} The narrowed navigation items
+ */
+export function narrowToRoot(navigation, rootPath) {
+  if (rootPath === '/') {
+    return navigation;
+  }
+  const rootSection = findSectionByPath(rootPath, navigation);
+  return rootSection ? rootSection.children || [] : [];
+}
+
+/**
+ * Build a filtered copy of the navigation structure. Children are filtered
+ * first, so the predicate sees the surviving children of each item. When an
+ * item is rejected its surviving children take its place in the parent.
+ * @param {Array} items - The navigation items to filter
+ * @param {Function} predicate - `(item, children) => boolean`
+ * @returns {Array} The filtered copy
+ */
+export function filterNavigation(items, predicate) {
+  const result = [];
+  items.forEach((item) => {
+    const children = filterNavigation(item.children || [], predicate);
+    if (predicate(item, children)) {
+      result.push(copyNavItem(item, children));
+    } else {
+      result.push(...children);
+    }
+  });
+  return result;
+}
+
+/**
+ * Build a copy of the navigation structure cut off below maxDepth levels.
+ * A maxDepth of 1 keeps only the top-level items.
+ * @param {Array} items - The navigation items to trim
+ * @param {number} maxDepth - Number of levels to keep
+ * @returns {Array} The trimmed copy
+ */
+export function trimNavigation(items, maxDepth) {
+  return items.map((item) => copyNavItem(item, maxDepth > 1 ? trimNavigation(item.children || [], maxDepth - 1) : []));
+}
+
+/**
+ * Build a copy of the navigation structure in which each section listed in
+ * options.collapse keeps only its first `childLimit` children, followed by
+ * a "more" item that links to the section, or to the first hidden child
+ * for a `'no-link'` label. Runs on a sorted tree, so the kept children
+ * follow the sort order. Sections are matched by their path before
+ * missingIndex changed it, a key such as `'/blog/'` also naming
+ * `/blog/index.html` when permalinks are off. The "more" item carries a
+ * non-enumerable `more` count of the children it stands for. A section is
+ * left whole when neither it nor its first hidden child has a path.
+ * Returns the items unchanged when no section is collapsed.
+ * @param {Array} items - The navigation items to collapse
+ * @param {Object} options - Plugin options
+ * @returns {Array} The collapsed copy
+ */
+export function collapseNavigation(items, options) {
+  const rules = options.collapse || {};
+  if (!Object.keys(rules).length) {
+    return items;
+  }
+  return items.map((item) => {
+    const children = collapseNavigation(item.children || [], options);
+    const sectionPath = (item[INTERNAL.origin] ?? item).path;
+    const key = Object.keys(rules).find((path) => matchesSectionPath(sectionPath, path));
+    if (key === undefined) {
+      return copyNavItem(item, children);
+    }
+    const { childLimit, moreLabel = 'More' } = typeof rules[key] === 'number' ? { childLimit: rules[key] } : rules[key];
+    // A section label without a link sends readers to the first child it hides
+    const target = item.path ?? children[childLimit]?.path ?? null;
+    if (children.length <= childLimit || target === null) {
+      return copyNavItem(item, children);
+    }
+    const more = createNavItem(moreLabel, null, target);
+    defineHidden(more, 'more', children.length - childLimit);
+    return copyNavItem(item, [...children.slice(0, childLimit), more]);
+  });
+}
+
+/**
+ * Build a copy of the navigation structure with options.basePath added to
+ * every item path. Returns the items unchanged when there is no basePath.
+ * @param {Array} items - The navigation items to prefix
+ * @param {Object} options - Plugin options
+ * @returns {Array} The prefixed copy
+ */
+export function prefixNavigation(items, options) {
+  if (!options.basePath || options.basePath === '/') {
+    return items;
+  }
+  return items.map((item) => {
+    const copy = copyNavItem(item, prefixNavigation(item.children || [], options));
+    copy.path = withBasePath(item.path, options);
+    return copy;
+  });
+}
+
+/**
+ * Flatten the navigation structure depth-first, parents before children,
+ * in the order the items appear in the tree.
+ * @param {Array} items - The navigation items to flatten
+ * @returns {Array} The flattened navigation items
+ */
+export function flattenNavigation(items) {
+  const result = [];
+  items.forEach((item) => {
+    result.push(item);
+    if (item.children && item.children.length > 0) {
+      result.push(...flattenNavigation(item.children));
+    }
+  });
+  return result;
+}
+
 /**
  * Look up a navIndex value for an item's path in options.navIndex.
  * Tries the raw path first, then the path without trailing slash.
@@ -230,7 +651,7 @@ export function findSectionByPath(sectionPath, navigation) {
  * @returns {number|undefined} The navIndex from options, or undefined if not set
  */
 function lookupOptionsNavIndex(item, options) {
-  if (!options.navIndex) {
+  if (!options.navIndex || item.path === null) {
     return undefined;
   }
   if (options.navIndex[item.path] !== undefined) {
@@ -244,19 +665,23 @@ function lookupOptionsNavIndex(item, options) {
 }
 
 /**
- * Sort the navigation structure using navIndex and an optional sortBy function.
+ * Sort the navigation structure using navIndex and options.sortBy.
  * Resolution order for each item: existing item.navIndex (from frontmatter) →
- * options.navIndex[path] → Infinity (nulls-last). The sortBy function acts as
- * a tiebreaker when two items share the same effective navIndex.
+ * options.navIndex[path] → numeric filename prefix (options.numericPrefixes) →
+ * Infinity (nulls-last). A sortBy function acts as a tiebreaker when two
+ * items share the same effective navIndex; declarative rules are described
+ * in createComparator, and a per-path map picks the rule for each level.
  * @param {Array} items - The navigation items to sort
  * @param {Object} options - Plugin options
+ * @param {Object} [files={}] - The Metalsmith files object, for frontmatter sort keys
+ * @param {string} [parentPath='/'] - Path of the items' parent, '/' for the top level
  */
-export function sortNavigation(items, options) {
+export function sortNavigation(items, options, files = {}, parentPath = '/') {
   if (!items?.length) {
     return;
   }
 
-  // Fill in navIndex from options for items that didn't get one from frontmatter.
+  // Fill in navIndex from options or the filename prefix for items that didn't get one from frontmatter.
   // Items with no explicit index remain null and fall through to Infinity in sort.
   items.forEach((item) => {
     if (item.navIndex !== null && item.navIndex !== undefined) {
@@ -265,21 +690,16 @@ export function sortNavigation(items, options) {
     const fromOptions = lookupOptionsNavIndex(item, options);
     if (fromOptions !== undefined) {
       item.navIndex = fromOptions;
+    } else if (item[INTERNAL.prefixIndex] !== null && item[INTERNAL.prefixIndex] !== undefined) {
+      item.navIndex = item[INTERNAL.prefixIndex];
     }
   });
 
-  items.sort((a, b) => {
-    const ai = a.navIndex !== null && a.navIndex !== undefined ? a.navIndex : Infinity;
-    const bi = b.navIndex !== null && b.navIndex !== undefined ? b.navIndex : Infinity;
-    if (ai !== bi) {
-      return ai - bi;
-    }
-    return typeof options.sortBy === 'function' ? options.sortBy(a, b) : 0;
-  });
+  items.sort(createComparator(selectSortRule(options.sortBy, parentPath), files, options));
 
   items.forEach((item) => {
     if (item.children && item.children.length > 0) {
-      sortNavigation(item.children, options);
+      sortNavigation(item.children, options, files, item.path);
     }
   });
 }
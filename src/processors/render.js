@@ -0,0 +1,151 @@
+/**
+ * HTML rendering for metalsmith-menu-plus
+ */
+
+import { escapeXml, fileUrlPath, INTERNAL, setFileOutput, withBasePath } from '../utils/index.js';
+import { indexTrails, pageBreadcrumbs } from './breadcrumbs.js';
+
+const MENU_CLASS_NAMES = {
+  nav: 'menu',
+  list: 'menu__list',
+  item: 'menu__item',
+  link: 'menu__link',
+  section: 'menu__section',
+  active: 'is-active',
+  trail: 'is-active-trail'
+};
+
+const BREADCRUMB_CLASS_NAMES = {
+  nav: 'breadcrumbs',
+  list: 'breadcrumbs__list',
+  item: 'breadcrumbs__item',
+  link: 'breadcrumbs__link',
+  active: 'is-active'
+};
+
+/**
+ * Render a navigation tree as nested `<nav><ul><li>` HTML. The item whose
+ * path is `currentPath` gets `aria-current="page"`, and every item with
+ * children is wrapped in a `<details>` element that starts open when it
+ * holds the current page. Items may leave out `children`, so hand-built
+ * trees render too.
+ * @param {Array} tree - Navigation items, paths as they should appear in links
+ * @param {Object} [options] - Rendering options
+ * @param {string|null} [options.currentPath=null] - Path of the page being rendered
+ * @param {number|null} [options.maxDepth=null] - Number of levels to render, unlimited when null
+ * @param {Object<string, string>} [options.classNames] - Overrides for the default class names
+ * @param {string} [options.ariaLabel='Main'] - Accessible name of the `<nav>` element
+ * @returns {string} The HTML, or an empty string for an empty tree
+ */
+export function renderMenu(tree, options = {}) {
+  const { currentPath = null, maxDepth = null, ariaLabel = 'Main' } = options;
+  const classNames = { ...MENU_CLASS_NAMES, ...options.classNames };
+  if (!tree.length) {
+    return '';
+  }
+
+  const renderList = (items, depth) =>
+    `<ul class="${escapeXml(classNames.list)}">${items.map((item) => renderItem(item, depth)).join('')}</ul>`;
+
+  const renderItem = (item, depth) => {
+    const children = item.children ?? [];
+    const isCurrent = currentPath !== null && !item[INTERNAL.section] && !item.more && item.path === currentPath;
+    const inTrail = !isCurrent && currentPath !== null && containsPath(children, currentPath);
+    const classes = [classNames.item, isCurrent && classNames.active, inTrail && classNames.trail].filter(Boolean);
+    const link = renderLink(item, isCurrent, classNames);
+
+    if (!children.length || (maxDepth !== null && depth >= maxDepth)) {
+      return `<li class="${escapeXml(classes.join(' '))}">${link}</li>`;
+    }
+    const open = isCurrent || inTrail ? ' open' : '';
+    return (
+      `<li class="${escapeXml(classes.join(' '))}">` +
+      `<details class="${escapeXml(classNames.section)}"${open}><summary>${link}</summary>` +
+      `${renderList(children, depth + 1)}</details></li>`
+    );
+  };
+
+  return `<nav class="${escapeXml(classNames.nav)}" aria-label="${escapeXml(ariaLabel)}">${renderList(tree, 1)}</nav>`;
+}
+
+/**
+ * Render breadcrumbs as an ordered list inside a `<nav>` element. The crumb
+ * whose path is `currentPath` gets `aria-current="page"`; without a
+ * `currentPath` the last crumb does.
+ * @param {Array} breadcrumbs - Breadcrumb items, paths as they should appear in links
+ * @param {Object} [options] - Rendering options
+ * @param {string|null} [options.currentPath=null] - Path of the page being rendered
+ * @param {Object<string, string>} [options.classNames] - Overrides for the default class names
+ * @param {string} [options.ariaLabel='Breadcrumb'] - Accessible name of the `<nav>` element
+ * @returns {string} The HTML, or an empty string when there are no breadcrumbs
+ */
+export function renderBreadcrumbs(breadcrumbs, options = {}) {
+  const { currentPath = null, ariaLabel = 'Breadcrumb' } = options;
+  const classNames = { ...BREADCRUMB_CLASS_NAMES, ...options.classNames };
+  if (!breadcrumbs.length) {
+    return '';
+  }
+
+  const items = breadcrumbs.map((crumb, index) => {
+    const isCurrent = currentPath === null ? index === breadcrumbs.length - 1 : crumb.path === currentPath;
+    const classes = [classNames.item, isCurrent && classNames.active].filter(Boolean);
+    return `<li class="${escapeXml(classes.join(' '))}">${renderLink(crumb, isCurrent, classNames)}</li>`;
+  });
+  return (
+    `<nav class="${escapeXml(classNames.nav)}" aria-label="${escapeXml(ariaLabel)}">` +
+    `<ol class="${escapeXml(classNames.list)}">${items.join('')}</ol></nav>`
+  );
+}
+
+/**
+ * Pre-render the menu and breadcrumbs of each file into
+ * `file.navigation.menuHtml` and `file.navigation.breadcrumbsHtml`, using
+ * the `menu` and `breadcrumbs` rendering options from `options.renderHtml`.
+ * The page's path and breadcrumbs are worked out here rather than read back
+ * from the file, so they render even when those outputs are turned off or
+ * preserved from frontmatter.
+ * @param {Object} files - The Metalsmith files object
+ * @param {Array<string>} paths - Page paths
+ * @param {Array} navigation - The metadata navigation, paths prefixed with basePath
+ * @param {Array} fullNavigation - The full, sorted navigation structure
+ * @param {Object} options - Plugin options
+ */
+export function generateRenderedHtml(files, paths, navigation, fullNavigation, options) {
+  const { menu = {}, breadcrumbs = {} } = options.renderHtml === true ? {} : options.renderHtml;
+  const index = indexTrails(fullNavigation);
+
+  paths.forEach((path) => {
+    const file = files[path];
+    const currentPath = withBasePath(fileUrlPath(path, options, file), options);
+    const crumbs = pageBreadcrumbs(path, file, fullNavigation, options, index);
+    setFileOutput(file, path, 'menuHtml', renderMenu(navigation, { ...menu, currentPath }), options);
+    setFileOutput(file, path, 'breadcrumbsHtml', renderBreadcrumbs(crumbs, { ...breadcrumbs, currentPath }), options);
+  });
+}
+
+/**
+ * Render one link, or a `<span>` for items without a path
+ * @param {Object} item - Navigation item or breadcrumb
+ * @param {boolean} isCurrent - Whether the link points to the current page
+ * @param {Object<string, string>} classNames - Resolved class names
+ * @returns {string} The HTML
+ */
+function renderLink(item, isCurrent, classNames) {
+  const title = escapeXml(String(item.title));
+  if (item.path === null) {
+    return `<span class="${escapeXml(classNames.link)}">${title}</span>`;
+  }
+  const current = isCurrent ? ' aria-current="page"' : '';
+  const rel = item.external ? ' rel="external"' : '';
+  return `<a class="${escapeXml(classNames.link)}" href="${escapeXml(item.path)}"${current}${rel}>${title}</a>`;
+}
+
+/**
+ * Check whether a path appears anywhere in a list of items or their descendants
+ * @param {Array} items - Navigation items
+ * @param {string} path - Path to look for
+ * @returns {boolean} True if the path was found
+ */
+function containsPath(items, path) {
+  return items.some((item) => item.path === path || containsPath(item.children ?? [], path));
+}
@@ -0,0 +1,45 @@
+/**
+ * Section-local navigation for metalsmith-menu-plus
+ */
+
+import { fileUrlPath, setFileOutput } from '../utils/index.js';
+import { findAncestry, indexTrails } from './breadcrumbs.js';
+import {
+  collapseNavigation,
+  copyNavItem,
+  filterNavigation,
+  prefixNavigation,
+  showsInMenus,
+  trimNavigation
+} from './navigation.js';
+
+/**
+ * Give each page the navigation section it belongs to, written to
+ * `file.navigation.section`. The section is the page's ancestor at
+ * `level` (1 is the top-level item holding the page), copied with its
+ * children trimmed to `maxDepth` levels and large sections collapsed as in
+ * the metadata navigation. Children that do not show in menus are left out
+ * of the copy, their own children taking their place. Pages above that level, or not
+ * in the navigation, get `null`.
+ * @param {Object} files - The Metalsmith files object
+ * @param {Array<string>} paths - File paths to process
+ * @param {Array} navigation - The full, sorted navigation structure
+ * @param {Object} options - Plugin options
+ */
+export function generateLocalNavigation(files, paths, navigation, options) {
+  const { level = 1, maxDepth = null } = options.localNavigation === true ? {} : options.localNavigation;
+  const index = indexTrails(navigation);
+
+  paths.forEach((path) => {
+    const file = files[path];
+    const ancestor = findAncestry(fileUrlPath(path, options, file), navigation, index)[level - 1];
+    const section = ancestor && copyNavItem(ancestor, filterNavigation(ancestor.children || [], showsInMenus));
+    const value = section
+      ? prefixNavigation(
+          collapseNavigation(trimNavigation([section], maxDepth ? maxDepth + 1 : Infinity), options),
+          options
+        )[0]
+      : null;
+    setFileOutput(file, path, 'section', value, options);
+  });
+}
@@ -0,0 +1,74 @@
+/**
+ * Previous/next link generation for metalsmith-menu-plus
+ */
+
+import { fileUrlPath, INTERNAL, normalizePath, setFileOutput, withBasePath } from '../utils/index.js';
+import { flattenNavigation, showsInTrail } from './navigation.js';
+
+/**
+ * Generate previous/next links for each page and add them to its
+ * navigation metadata. The links follow the order of the sorted navigation
+ * tree, walked depth-first.
+ *
+ * With `options.prevNext === 'section'` the walk stays inside the top-level
+ * section that holds the page (the section item itself comes first). With
+ * `options.prevNext === 'tree'` the whole tree is one sequence. Directories
+ * without an index page are skipped. Pages that are not in the navigation,
+ * or whose visibility keeps them out of previous/next links, get `null` for
+ * both links.
+ *
+ * @param {Object} files - The Metalsmith files object
+ * @param {Array<string>} paths - File paths to process
+ * @param {Array} navigation - The sorted navigation structure
+ * @param {Object} options - Plugin options
+ */
+export function generatePrevNext(files, paths, navigation, options) {
+  // External links, section labels and directories without an index page are not pages, so they never act as a
+  // previous or next page
+  const pagesOf = (items) =>
+    flattenNavigation(items).filter(
+      (item) =>
+        !item.external &&
+        !item[INTERNAL.section] &&
+        (item[INTERNAL.source] !== null || item[INTERNAL.extra]) &&
+        showsInTrail(item)
+    );
+  const sequences = options.prevNext === 'section' ? navigation.map((item) => pagesOf([item])) : [pagesOf(navigation)];
+
+  // Map each item path to its sequence and position so each lookup is O(1)
+  const positions = new Map();
+  sequences.forEach((sequence) => {
+    sequence.forEach((item, index) => {
+      positions.set(normalizePath(item.path), { sequence, index });
+    });
+  });
+
+  paths.forEach((path) => {
+    const file = files[path];
+    const position = positions.get(normalizePath(fileUrlPath(path, options, file)));
+    setFileOutput(
+      file,
+      path,
+      'prev',
+      position ? toLink(position.sequence[position.index - 1], options) : null,
+      options
+    );
+    setFileOutput(
+      file,
+      path,
+      'next',
+      position ? toLink(position.sequence[position.index + 1], options) : null,
+      options
+    );
+  });
+}
+
+/**
+ * Reduce a navigation item to a `{ title, path }` link
+ * @param {Object|undefined} item - The navigation item
+ * @param {Object} options - Plugin options
+ * @returns {Object|null} The link, or null when there is no item
+ */
+function toLink(item, options) {
+  return item ? { title: item.title, path: withBasePath(item.path, options) } : null;
+}
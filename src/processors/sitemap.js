@@ -0,0 +1,66 @@
+/**
+ * Sitemap generation for metalsmith-menu-plus
+ */
+
+import { absoluteUrl, escapeXml, fileUrlPath, shouldExclude, withBasePath } from '../utils/index.js';
+
+/**
+ * Add a sitemap.xml file to the build, listing every page that the
+ * navigation would include. Pages are skipped by the same shouldExclude
+ * rules as the navigation, with `sitemap.navExcludePatterns` replacing the
+ * plugin's patterns when set. `lastmod`, `changefreq` and `priority` are
+ * read from each page's frontmatter. Entries are sorted by URL so the file
+ * is identical across builds of the same content.
+ * @param {Object} files - The Metalsmith files object
+ * @param {Array<{paths: Array<string>, files: Object, options: Object}>} groups - Pages to list, per site or locale
+ * @param {Object} options - Plugin options
+ */
+export function generateSitemap(files, groups, options) {
+  const { filename = 'sitemap.xml', navExcludePatterns } = options.sitemap === true ? {} : options.sitemap;
+
+  const entries = [];
+  groups.forEach((group) => {
+    const exclusionOptions = navExcludePatterns ? { ...group.options, navExcludePatterns } : group.options;
+    group.paths.forEach((path) => {
+      const file = group.files[path];
+      if (shouldExclude(path, file, exclusionOptions)) {
+        return;
+      }
+      entries.push({
+        loc: absoluteUrl(withBasePath(fileUrlPath(path, group.options, file), group.options), options),
+        lastmod: formatLastmod(file.lastmod),
+        changefreq: file.changefreq,
+        priority: file.priority
+      });
+    });
+  });
+  entries.sort((a, b) => (a.loc < b.loc ? -1 : a.loc > b.loc ? 1 : 0));
+
+  const urls = entries.map((entry) => {
+    const fields = ['loc', 'lastmod', 'changefreq', 'priority']
+      .filter((field) => entry[field] !== undefined && entry[field] !== null)
+      .map((field) => `    <${field}>${escapeXml(String(entry[field]))}</${field}>`);
+    return `  <url>\n${fields.join('\n')}\n  </url>`;
+  });
+  const xml = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+
+  files[filename] = { contents: Buffer.from(xml) };
+}
+
+/**
+ * Format a frontmatter lastmod value as a W3C date
+ * @param {Date|string|undefined} lastmod - The frontmatter value
+ * @returns {string|undefined} The formatted date, or undefined when unset or invalid
+ */
+function formatLastmod(lastmod) {
+  if (lastmod instanceof Date) {
+    return Number.isNaN(lastmod.getTime()) ? undefined : lastmod.toISOString().slice(0, 10);
+  }
+  return lastmod ? String(lastmod) : undefined;
+}
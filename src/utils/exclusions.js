@@ -3,45 +3,149 @@
  */
 
 /**
- * Determines if a file should be excluded from navigation
+ * Operators a frontmatter condition can use instead of a plain value
+ */
+export const CONDITION_OPERATORS = ['after', 'before', 'exists'];
+
+/**
+ * Find the rule that keeps a file out of the navigation. Drafts and
+ * `navigation.navExclude` come first, then `options.navIncludePatterns`
+ * (a file must match one of them when any are set), then
+ * `options.navExcludePatterns` in order.
+ *
+ * Rules in both lists are globs (a trailing `/` covers everything below a
+ * directory), RegExps, functions `(path, file) => boolean`, or plain objects
+ * of frontmatter conditions that must all hold.
  * @param {string} path - The file path
  * @param {Object} file - The file metadata
  * @param {Object} options - Plugin options
- * @returns {boolean} True if the file should be excluded
+ * @returns {string|null} A description of the rule that excludes the file, or null if it is included
  */
-export function shouldExclude(path, file, options) {
+export function findExclusion(path, file, options) {
   // Check if file is marked as draft
   if (file && file.draft === true) {
-    return true;
+    return 'draft: true';
   }
 
   // Check if navigation.navExclude is true
   if (file?.navigation && file.navigation.navExclude === true) {
-    return true;
-  }
-
-  // Check if path matches any of the exclusion patterns
-  if (options.navExcludePatterns && options.navExcludePatterns.length > 0) {
-    for (const pattern of options.navExcludePatterns) {
-      if (typeof pattern === 'string') {
-        // String literal match
-        if (path === pattern) {
-          return true;
-        }
-      } else if (pattern instanceof RegExp) {
-        // RegExp pattern match
-        if (pattern.test(path)) {
-          return true;
-        }
-      } else if (typeof pattern === 'function') {
-        // Function that returns true if path should be excluded
-        if (pattern(path, file)) {
-          return true;
-        }
-      }
+    return 'navigation.navExclude: true';
+  }
+
+  const includes = options.navIncludePatterns || [];
+  if (includes.length > 0 && !includes.some((rule) => matchesRule(rule, path, file, options))) {
+    return 'no navIncludePatterns rule matches';
+  }
+
+  const excludes = options.navExcludePatterns || [];
+  const index = excludes.findIndex((rule) => matchesRule(rule, path, file, options));
+  return index === -1 ? null : `navExcludePatterns[${index}] ${describeRule(excludes[index])}`;
+}
+
+/**
+ * Determines if a file should be excluded from navigation
+ * @param {string} path - The file path
+ * @param {Object} file - The file metadata
+ * @param {Object} options - Plugin options
+ * @returns {boolean} True if the file should be excluded
+ */
+export function shouldExclude(path, file, options) {
+  return findExclusion(path, file, options) !== null;
+}
+
+/**
+ * Check whether one rule matches a file. Globs are matched with
+ * `options.matchPattern`, which the plugin binds to `metalsmith.match` for
+ * each build; an exact path always matches, even without it.
+ * @param {string|RegExp|Function|Object} rule - The rule
+ * @param {string} path - The file path
+ * @param {Object} file - The file metadata
+ * @param {Object} options - Plugin options
+ * @returns {boolean} True if the rule matches
+ */
+function matchesRule(rule, path, file, options) {
+  if (typeof rule === 'string') {
+    if (path === rule) {
+      return true;
+    }
+    const glob = rule.endsWith('/') ? `${rule}**` : rule;
+    return options.matchPattern ? options.matchPattern(glob, path) : false;
+  }
+  if (rule instanceof RegExp) {
+    return rule.test(path);
+  }
+  if (typeof rule === 'function') {
+    return Boolean(rule(path, file));
+  }
+  const now = Date.now();
+  return Object.entries(rule).every(([field, expected]) => {
+    const value = field.split('.').reduce((data, part) => data?.[part], file);
+    return matchesCondition(value, expected, now);
+  });
+}
+
+/**
+ * Check one frontmatter value against a condition. A plain object condition
+ * uses the operators in CONDITION_OPERATORS, all of which must hold: `after`
+ * and `before` compare dates (`'now'` being the time of the build), and
+ * `exists` checks that the field is set. An array condition holds when any
+ * of its entries does. Any other condition must equal the value, or be one
+ * of its entries when the value is an array.
+ * @param {*} value - The frontmatter value
+ * @param {*} expected - The condition
+ * @param {number} now - The time of the build, in milliseconds
+ * @returns {boolean} True if the value meets the condition
+ */
+function matchesCondition(value, expected, now) {
+  if (Array.isArray(expected)) {
+    return expected.some((option) => matchesCondition(value, option, now));
+  }
+  if (expected === null || typeof expected !== 'object' || expected instanceof Date) {
+    return Array.isArray(value) ? value.includes(expected) : value === expected;
+  }
+  const time = toTime(value, now);
+  return Object.entries(expected).every(([operator, operand]) => {
+    if (operator === 'exists') {
+      return (value !== undefined && value !== null) === operand;
     }
+    const limit = toTime(operand, now);
+    if (Number.isNaN(time) || Number.isNaN(limit)) {
+      return false;
+    }
+    return operator === 'after' ? time > limit : time < limit;
+  });
+}
+
+/**
+ * Convert a date, date string, timestamp or `'now'` to milliseconds
+ * @param {*} value - The value to convert
+ * @param {number} now - The time of the build, in milliseconds
+ * @returns {number} Milliseconds since the epoch, NaN if the value is not a date
+ */
+function toTime(value, now) {
+  if (value === 'now') {
+    return now;
+  }
+  if (value instanceof Date) {
+    return value.getTime();
   }
+  return typeof value === 'string' || typeof value === 'number' ? new Date(value).getTime() : Number.NaN;
+}
 
-  // File should not be excluded
-  return false;
+/**
+ * Describe a rule for debug output
+ * @param {string|RegExp|Function|Object} rule - The rule
+ * @returns {string} A short description
+ */
+function describeRule(rule) {
+  if (typeof rule === 'string') {
+    return `'${rule}'`;
+  }
+  if (rule instanceof RegExp) {
+    return String(rule);
+  }
+  if (typeof rule === 'function') {
+    return rule.name ? `function ${rule.name}` : 'function';
+  }
+  return JSON.stringify(rule);
 }
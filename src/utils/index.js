@@ -2,5 +2,23 @@
  * Utility functions for metalsmith-menu-plus
  */
 
-export { shouldExclude } from './exclusions.js';
-export { createChildPath, createDirectoryPath, createPath, fileUrlPath, normalizePath } from './paths.js';
+export { CONDITION_OPERATORS, findExclusion, shouldExclude } from './exclusions.js';
+export { INTERNAL } from './items.js';
+export { escapeXml } from './markup.js';
+export { COLLISION_POLICIES, setFileOutput, setUrlPath } from './outputs.js';
+export {
+  absoluteUrl,
+  createChildPath,
+  createDirectoryPath,
+  createPath,
+  declaredPermalink,
+  fileUrlPath,
+  matchesSectionPath,
+  normalizePath,
+  outputPath,
+  pageStem,
+  parseNumericPrefix,
+  withBasePath
+} from './paths.js';
+export { createComparator, selectSortRule } from './sorting.js';
+export { fallbackTitle, TITLE_TRANSFORMS } from './titles.js';
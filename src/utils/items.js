@@ -0,0 +1,21 @@
+/**
+ * Navigation item utilities for metalsmith-menu-plus
+ */
+
+/**
+ * Keys of the internal bookkeeping each navigation item carries as
+ * non-enumerable properties: `source` (the files key the item was built
+ * from, or null for items without a page), `origin` (the item a copy
+ * ultimately came from), `extra` (the options.extraItems entry), `section`
+ * (set on section labels), `visibility` (the page's `navigation.visibility`)
+ * and `prefixIndex` (the numeric prefix of its filename). They are symbols,
+ * so page data copied onto items by options.fields can never replace them.
+ */
+export const INTERNAL = Object.freeze({
+  source: Symbol('source'),
+  origin: Symbol('origin'),
+  extra: Symbol('extra'),
+  section: Symbol('section'),
+  visibility: Symbol('visibility'),
+  prefixIndex: Symbol('prefixIndex')
+});
@@ -0,0 +1,17 @@
+/**
+ * Markup utilities for metalsmith-menu-plus
+ */
+
+/**
+ * Escape text for use in XML or HTML content and attribute values
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+export function escapeXml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
@@ -0,0 +1,74 @@
+/**
+ * Per-file output utilities for metalsmith-menu-plus
+ */
+
+/**
+ * Policies for per-file fields that are already set when the plugin writes them
+ */
+export const COLLISION_POLICIES = ['overwrite', 'preserve', 'error'];
+
+/**
+ * Write one per-file output to `file[options.fileKey][field]`, creating the
+ * object when the file has none.
+ *
+ * The plugin writes each output once per build, so a field that is already
+ * set came from the page's frontmatter or an earlier plugin.
+ * `options.onCollision` decides what happens to it: `overwrite` replaces it,
+ * `preserve` keeps it, `error` fails the build. A value under fileKey that
+ * is not an object collides in the same way.
+ *
+ * The plugin's value is passed to `options.recordOutput` when it is set, so
+ * an incremental build can write it again later.
+ * @param {Object} file - The file metadata
+ * @param {string} path - The file path, for error messages
+ * @param {string} field - Name of the output
+ * @param {*} value - The value to write
+ * @param {Object} options - Plugin options
+ * @throws {Error} If the field is already set and onCollision is 'error'
+ */
+export function setFileOutput(file, path, field, value, options) {
+  options.recordOutput?.(path, field, value);
+  const key = options.fileKey;
+  if (file[key] === undefined || file[key] === null) {
+    file[key] = {};
+  } else if (typeof file[key] !== 'object' || Array.isArray(file[key])) {
+    if (!mayReplace(path, key, options)) {
+      return;
+    }
+    file[key] = {};
+  }
+  if (file[key][field] === undefined || mayReplace(path, `${key}.${field}`, options)) {
+    file[key][field] = value;
+  }
+}
+
+/**
+ * Write a page's URL path to `file[options.urlKey]`, following
+ * `options.onCollision` like setFileOutput.
+ * @param {Object} file - The file metadata
+ * @param {string} path - The file path, for error messages
+ * @param {string} urlPath - The URL path
+ * @param {Object} options - Plugin options
+ * @throws {Error} If the key is already set and onCollision is 'error'
+ */
+export function setUrlPath(file, path, urlPath, options) {
+  options.recordOutput?.(path, null, urlPath);
+  if (file[options.urlKey] === undefined || mayReplace(path, options.urlKey, options)) {
+    file[options.urlKey] = urlPath;
+  }
+}
+
+/**
+ * Apply the collision policy to a field that is already set
+ * @param {string} path - The file path
+ * @param {string} name - The field, as a dotted key
+ * @param {Object} options - Plugin options
+ * @returns {boolean} True if the field may be replaced
+ * @throws {Error} If onCollision is 'error'
+ */
+function mayReplace(path, name, options) {
+  if (options.onCollision === 'error') {
+    throw new Error(`metalsmith-menu-plus: '${path}' already sets '${name}' (onCollision: 'error')`);
+  }
+  return options.onCollision !== 'preserve';
+}
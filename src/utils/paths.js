@@ -12,6 +12,127 @@ export function normalizePath(path) {
   return path === '/' ? path : path.replace(/\/$/, '');
 }
 
+/**
+ * Check whether an item path is the one a section path from the options or
+ * frontmatter names. Paths compare without their trailing slash, and a path
+ * such as `/guides/` also names the page that URL stands for with
+ * permalinks, so it matches `/guides/index.html` or `/guides.html` when
+ * permalinks are off. Items without a path never match.
+ * @param {string|null} itemPath - Path of a navigation item
+ * @param {string} sectionPath - The path to look for
+ * @returns {boolean} True if the item is the section
+ */
+export function matchesSectionPath(itemPath, sectionPath) {
+  if (typeof itemPath !== 'string') {
+    return false;
+  }
+  const target = normalizePath(sectionPath);
+  if (normalizePath(itemPath) === target) {
+    return true;
+  }
+  const stem = itemPath.replace(/\/index\.[^/.]+$/, '/').replace(/\.[^/.]+$/, '');
+  return normalizePath(stem) === target;
+}
+
+/**
+ * Prefix a site-relative URL path with options.basePath, for sites served
+ * from a subdirectory. Everything inside the plugin matches on un-prefixed
+ * paths; this is applied only when a path is written out. Paths that are
+ * not site-relative (external URLs, `mailto:` links) are returned as-is.
+ * @param {string} urlPath - The un-prefixed URL path
+ * @param {Object} options - Plugin options
+ * @returns {string} The URL path as served
+ */
+export function withBasePath(urlPath, options) {
+  if (!options.basePath || options.basePath === '/' || typeof urlPath !== 'string') {
+    return urlPath;
+  }
+  if (!urlPath.startsWith('/') || urlPath.startsWith('//')) {
+    return urlPath;
+  }
+  return `${normalizePath(options.basePath)}${urlPath}`;
+}
+
+/**
+ * Turn an emitted URL path into an absolute URL on options.siteUrl. URLs
+ * that already carry a scheme (`https:`, `mailto:`) are returned as-is.
+ * @param {string} urlPath - The URL path, already prefixed with basePath
+ * @param {Object} options - Plugin options
+ * @returns {string} The absolute URL
+ */
+export function absoluteUrl(urlPath, options) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(urlPath)) {
+    return urlPath;
+  }
+  return `${options.siteUrl.replace(/\/+$/, '')}${urlPath}`;
+}
+
+/**
+ * Split a leading numeric prefix such as `01-` off a file or directory name.
+ * The prefix needs a separator (`-`, `_`, `.` or whitespace) and something
+ * after it, so names like `404` are left alone.
+ * @param {string} name - The file or directory name
+ * @returns {{index: number|null, name: string}} The prefix as a number, or null, and the rest of the name
+ */
+export function parseNumericPrefix(name) {
+  const match = name.match(/^(\d+)[-_.\s]+(?=\S)/);
+  return match ? { index: Number(match[1]), name: name.slice(match[0].length) } : { index: null, name };
+}
+
+/**
+ * Remove the last extension from a file name or path
+ * @param {string} path - A file name or path
+ * @returns {string} The path without its extension
+ */
+function stripExtension(path) {
+  return path.replace(/\.[^./]+$/, '');
+}
+
+/**
+ * Map a source path to the path the page is published under. The source
+ * extension is looked up in options.extensionMap, and anything it does not
+ * list is published as `.html`, so `docs/setup.md` becomes `docs/setup.html`.
+ * A source that already names its published extension, such as
+ * `about.html.njk`, only loses the last one.
+ * @param {string} path - The source path (Metalsmith files key)
+ * @param {Object} options - Plugin options
+ * @returns {string} The published path
+ */
+export function outputPath(path, options) {
+  const stem = stripExtension(path);
+  const extension = options.extensionMap?.[path.slice(stem.length)] ?? '.html';
+  return stem.endsWith(extension) ? stem : `${stem}${extension}`;
+}
+
+/**
+ * Name a page by its published path without the extension. Pages pair with
+ * directories and count as index pages by this name, so `guide.md`,
+ * `guide.html` and `guide.html.njk` are all `guide`.
+ * @param {string} path - The source path (Metalsmith files key), or its last segment
+ * @param {Object} options - Plugin options
+ * @returns {string} The page name
+ */
+export function pageStem(path, options) {
+  return stripExtension(outputPath(path, options));
+}
+
+/**
+ * Remove numeric prefixes from every segment of a path when
+ * options.numericPrefixes asks for them to be stripped from URLs
+ * @param {string} path - A file or directory path, or a single name
+ * @param {Object} options - Plugin options
+ * @returns {string} The path as it appears in URLs
+ */
+function urlName(path, options) {
+  if (!options.numericPrefixes?.stripFromUrl) {
+    return path;
+  }
+  return path
+    .split('/')
+    .map((segment) => parseNumericPrefix(segment).name)
+    .join('/');
+}
+
 /**
  * Create a path for a file based on permalink settings
  * @param {string} path - The file path
@@ -25,10 +146,10 @@ export function createPath(path, name, options) {
     if (name === 'index') {
       return '/';
     }
-    return `/${name}/`;
+    return `/${urlName(name, options)}/`;
   }
-  // For regular links, we keep the original extension
-  return `/${path}`;
+  // For regular links, link to the published file
+  return `/${urlName(outputPath(path, options), options)}`;
 }
 
 /**
@@ -39,10 +160,10 @@ export function createPath(path, name, options) {
  */
 export function createDirectoryPath(dirPath, options) {
   if (options.usePermalinks) {
-    return `/${dirPath}/`;
+    return `/${urlName(dirPath, options)}/`;
   }
   // In non-permalink mode, link to the directory index
-  return `/${dirPath}/index.html`;
+  return `/${urlName(dirPath, options)}/index.html`;
 }
 
 /**
@@ -53,28 +174,60 @@ export function createDirectoryPath(dirPath, options) {
  * @param {Object} options - Plugin options
  * @returns {string} The URL path
  */
-export function createChildPath(_path, name, parentDir, options) {
+export function createChildPath(path, name, parentDir, options) {
+  const dir = urlName(parentDir, options);
   if (options.usePermalinks) {
     if (name === 'index') {
       // If this is an index file, link to the parent directory
-      return `/${parentDir}/`;
+      return `/${dir}/`;
     }
     // For permalinks, use the clean URL format
-    return `/${parentDir}/${name}/`;
+    return `/${dir}/${urlName(name, options)}/`;
   }
-  // For regular links, preserve the file extension
-  return `/${parentDir}/${name}.html`;
+  // For regular links, link to the published file
+  return `/${urlName(outputPath(path, options), options)}`;
 }
 
 /**
- * Compute the URL path for any HTML file in the build, honoring permalink settings.
+ * Read the URL a page declares for itself in permalink mode. A string
+ * `permalink` (set by @metalsmith/permalinks or in frontmatter) wins over a
+ * string `path` (set by the older metalsmith-permalinks). Returns null when
+ * permalinks are off or the page declares neither, so callers fall back to
+ * the URL derived from the file path.
+ * @param {Object|null} file - The file metadata
+ * @param {Object} options - Plugin options
+ * @returns {string|null} The declared URL path, or null
+ */
+export function declaredPermalink(file, options) {
+  if (!options.usePermalinks || !file) {
+    return null;
+  }
+  const declared = [file.permalink, file.path].find((value) => typeof value === 'string');
+  if (declared === undefined) {
+    return null;
+  }
+  const trimmed = declared.replace(/^\/+|\/+$/g, '');
+  if (!trimmed) {
+    return '/';
+  }
+  // A declared file name such as 'feed.xml' is served as-is, anything else as a directory
+  return /\.[^/]+$/.test(trimmed) ? `/${trimmed}` : `/${trimmed}/`;
+}
+
+/**
+ * Compute the URL path for any page in the build, honoring permalink settings.
  * @param {string} path - The file path (Metalsmith files key)
  * @param {Object} options - Plugin options
+ * @param {Object|null} [file=null] - The file metadata, for a declared permalink
  * @returns {string} The URL path
  */
-export function fileUrlPath(path, options) {
+export function fileUrlPath(path, options, file = null) {
+  const declared = declaredPermalink(file, options);
+  if (declared) {
+    return declared;
+  }
   const segments = path.split('/');
-  const name = segments[segments.length - 1].replace('.html', '');
+  const name = pageStem(segments[segments.length - 1], options);
   if (segments.length === 1) {
     return createPath(path, name, options);
   }
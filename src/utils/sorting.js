@@ -0,0 +1,108 @@
+/**
+ * Sorting utilities for metalsmith-menu-plus
+ */
+
+import { INTERNAL } from './items.js';
+import { matchesSectionPath } from './paths.js';
+
+/**
+ * Pick the sortBy rule for the children of the item at parentPath. A plain
+ * object maps parent paths (`'/'` for the top level) to rules, with `'*'` as
+ * the fallback; a key such as `'/blog/'` also names `/blog/index.html` when
+ * permalinks are off. Anything else applies at every level.
+ * @param {Function|string|Array<string>|Object|null} sortBy - The sortBy option
+ * @param {string} parentPath - Path of the parent item, '/' for the top level
+ * @returns {Function|string|Array<string>|null} The rule for this level
+ */
+export function selectSortRule(sortBy, parentPath) {
+  if (sortBy === null || sortBy === undefined || typeof sortBy !== 'object' || Array.isArray(sortBy)) {
+    return sortBy ?? null;
+  }
+  const key = Object.keys(sortBy).find((path) => path !== '*' && matchesSectionPath(parentPath, path));
+  return sortBy[key ?? '*'] ?? null;
+}
+
+/**
+ * Create the comparator for one level of the navigation.
+ *
+ * A function rule keeps the original behavior: items sort by navIndex and
+ * the function breaks ties. A declarative rule is a key or an array of keys,
+ * each optionally prefixed with `-` for descending order. `title`, `path` and
+ * `navIndex` read the item; any other key reads the page's frontmatter,
+ * with dots for nested fields. navIndex is compared first unless the rule
+ * lists it somewhere else. Missing values always sort last, and strings are
+ * compared with Intl.Collator in `options.sortLocale` (or the locale being
+ * built in i18n mode).
+ * @param {Function|string|Array<string>|null} rule - The rule for this level
+ * @param {Object} files - The Metalsmith files object, for frontmatter keys
+ * @param {Object} options - Plugin options
+ * @returns {Function} Comparator for two navigation items
+ */
+export function createComparator(rule, files, options) {
+  if (rule === null || typeof rule === 'function') {
+    return (a, b) => {
+      const ai = a.navIndex !== null && a.navIndex !== undefined ? a.navIndex : Infinity;
+      const bi = b.navIndex !== null && b.navIndex !== undefined ? b.navIndex : Infinity;
+      if (ai !== bi) {
+        return ai - bi;
+      }
+      return rule ? rule(a, b) : 0;
+    };
+  }
+
+  const keys = [].concat(rule).map((key) => ({
+    field: key.replace(/^-/, ''),
+    direction: key.startsWith('-') ? -1 : 1
+  }));
+  if (!keys.some((key) => key.field === 'navIndex')) {
+    keys.unshift({ field: 'navIndex', direction: 1 });
+  }
+  const collator = new Intl.Collator(options.sortLocale ?? options.locale, { numeric: true });
+
+  return (a, b) => {
+    for (const { field, direction } of keys) {
+      const result = compareValues(sortValue(a, field, files), sortValue(b, field, files), direction, collator);
+      if (result !== 0) {
+        return result;
+      }
+    }
+    return 0;
+  };
+}
+
+/**
+ * Read the value an item sorts by for one key
+ * @param {Object} item - Navigation item
+ * @param {string} field - The key, without direction prefix
+ * @param {Object} files - The Metalsmith files object
+ * @returns {*} The value, or undefined when it is missing
+ */
+function sortValue(item, field, files) {
+  if (field === 'title' || field === 'path' || field === 'navIndex') {
+    return item[field] ?? undefined;
+  }
+  return field.split('.').reduce((value, part) => value?.[part], files[item[INTERNAL.source]]);
+}
+
+/**
+ * Compare two sort values. Missing values sort last in either direction,
+ * dates and numbers compare numerically and everything else with the collator.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {number} direction - 1 for ascending, -1 for descending
+ * @param {Intl.Collator} collator - Collator for strings
+ * @returns {number} Negative, zero or positive
+ */
+function compareValues(a, b, direction, collator) {
+  const missingA = a === undefined || a === null;
+  const missingB = b === undefined || b === null;
+  if (missingA || missingB) {
+    return missingA === missingB ? 0 : missingA ? 1 : -1;
+  }
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  if (typeof x === 'number' && typeof y === 'number') {
+    return (x - y) * direction;
+  }
+  return collator.compare(String(x), String(y)) * direction;
+}
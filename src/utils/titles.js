@@ -0,0 +1,86 @@
+/**
+ * Title fallback utilities for metalsmith-menu-plus
+ */
+
+import { parseNumericPrefix } from './paths.js';
+
+/**
+ * Built-in transforms for labels derived from file and folder names
+ */
+export const TITLE_TRANSFORMS = {
+  titleCase: (name) =>
+    splitWords(name)
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(' '),
+  sentenceCase: (name) => {
+    const text = splitWords(name).join(' ');
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  stripNumericPrefix: (name) => parseNumericPrefix(name).name
+};
+
+/**
+ * Turn a file or folder name into a navigation title using
+ * options.titleFallback, a step or an array of steps run in order. A step is
+ * the name of a built-in transform or a function `(name, file, path) => string`
+ * that receives the result of the previous step. The `'firstHeading'` step
+ * returns the text of the page's first `<h1>` when it has one, ending the
+ * chain; otherwise the chain carries on with the name.
+ * @param {string} name - The file or folder name, without extension
+ * @param {Object|null} file - The Metalsmith file, null for directories without an index page
+ * @param {string} path - The item's URL path
+ * @param {Object} options - Plugin options
+ * @returns {string} The title
+ */
+export function fallbackTitle(name, file, path, options) {
+  const steps = [].concat(options.titleFallback || []);
+  let title = name;
+  for (const step of steps) {
+    if (step === 'firstHeading') {
+      const heading = firstHeading(file);
+      if (heading) {
+        return heading;
+      }
+    } else if (typeof step === 'function') {
+      title = String(step(title, file, path));
+    } else {
+      title = TITLE_TRANSFORMS[step](title);
+    }
+  }
+  return title;
+}
+
+/**
+ * Read the text of the first `<h1>` in a file's contents, without tags and
+ * with the common character entities decoded
+ * @param {Object|null} file - The Metalsmith file
+ * @returns {string|null} The heading text, or null when there is none
+ */
+function firstHeading(file) {
+  if (!file?.contents) {
+    return null;
+  }
+  const match = file.contents.toString().match(/<h1\b[^>]*>([\s\S]*?)<\/h1>/i);
+  if (!match) {
+    return null;
+  }
+  const text = match[1]
+    .replace(/<[^>]*>/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+  return text || null;
+}
+
+/**
+ * Split a name on hyphens, underscores and whitespace
+ * @param {string} name - The name to split
+ * @returns {Array<string>} The non-empty words
+ */
+function splitWords(name) {
+  return name.split(/[-_\s]+/).filter(Boolean);
+}
@@ -10,7 +10,7 @@ import { dirname, resolve } from 'node:path';
 import { describe, it } from 'node:test';
 import { fileURLToPath } from 'node:url';
 import Metalsmith from 'metalsmith';
-import navigationPlugin from '../src/index.js';
+import navigationPlugin, { renderBreadcrumbs, renderMenu } from '../src/index.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -423,12 +423,1800 @@ describe('Metalsmith Menu Plugin', () => {
     assert.strictEqual(blogDir, undefined, 'Blog directory should not exist as a separate entry');
   });
 
+  describe('named menus', () => {
+    const menuOptions = {
+      usePermalinks: true,
+      menus: {
+        header: { maxDepth: 1 },
+        footer: { optIn: true, navIndex: { '/contact': 1 } },
+        docsSidebar: {
+          metadataKey: 'sidebar',
+          rootPath: '/docs/',
+          navExcludePatterns: [/tuning/],
+          sortBy: (a, b) => b.title.localeCompare(a.title)
+        }
+      }
+    };
+
+    it('should write each menu to metadata under its name or metadataKey', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin(menuOptions));
+      await ms.process();
+      const metadata = ms.metadata();
+
+      assert.ok(Array.isArray(metadata.navigation), 'Main navigation should still be written');
+      assert.ok(Array.isArray(metadata.header), 'Header menu should use its name as key');
+      assert.ok(Array.isArray(metadata.footer), 'Footer menu should use its name as key');
+      assert.ok(Array.isArray(metadata.sidebar), 'Sidebar menu should use its metadataKey');
+      assert.strictEqual(metadata.docsSidebar, undefined, 'Menu name should not be used when metadataKey is set');
+    });
+
+    it('should trim a menu to its maxDepth', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin(menuOptions));
+      await ms.process();
+      const { header, navigation } = ms.metadata();
+
+      const docs = header.find((item) => item.title === 'Docs');
+      assert.strictEqual(header.length, 5, 'Header should have all top-level items');
+      assert.deepStrictEqual(docs.children, [], 'Header items should have no children');
+
+      const fullDocs = navigation.find((item) => item.title === 'Docs');
+      assert.strictEqual(fullDocs.children.length, 2, 'Main navigation should keep its children');
+    });
+
+    it('should only include opted-in pages in an optIn menu, sorted by its own navIndex', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin(menuOptions));
+      await ms.process();
+      const { footer, navigation } = ms.metadata();
+
+      assert.deepStrictEqual(
+        footer.map((item) => item.title),
+        ['Contact', 'Home', 'About'],
+        'Footer should contain the opted-in pages, with Contact first'
+      );
+      const contact = navigation.find((item) => item.title === 'Contact');
+      assert.strictEqual(contact.navIndex, null, 'Menu navIndex should not leak into the main navigation');
+    });
+
+    it('should apply a menu rootPath, exclusion patterns and sortBy', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin(menuOptions));
+      await ms.process();
+      const { sidebar, navigation } = ms.metadata();
+
+      assert.deepStrictEqual(
+        sidebar.map((item) => item.title),
+        ['Introduction', 'Advanced'],
+        'Sidebar should hold the docs children in reverse title order'
+      );
+      const advanced = sidebar.find((item) => item.title === 'Advanced');
+      assert.deepStrictEqual(advanced.children, [], 'Tuning should be excluded from the sidebar');
+
+      const fullDocs = navigation.find((item) => item.title === 'Docs');
+      const fullAdvanced = fullDocs.children.find((item) => item.title === 'Advanced');
+      assert.strictEqual(fullAdvanced.children.length, 1, 'Tuning should remain in the main navigation');
+    });
+
+    it('should keep the public NavItem shape in menus', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin(menuOptions));
+      await ms.process();
+      const [first] = ms.metadata().footer;
+
+      assert.deepStrictEqual(Object.keys(first), ['title', 'path', 'navIndex', 'children']);
+    });
+  });
+
+  describe('previous/next links', () => {
+    it('should link pages within their top-level section', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin({ usePermalinks: true, prevNext: 'section' }));
+      const files = await ms.process();
+
+      assert.strictEqual(files['docs/index.html'].navigation.prev, null, 'Section root should have no prev');
+      assert.deepStrictEqual(files['docs/index.html'].navigation.next, { title: 'Advanced', path: '/docs/advanced/' });
+      assert.deepStrictEqual(files['docs/advanced/tuning.html'].navigation.prev, {
+        title: 'Advanced',
+        path: '/docs/advanced/'
+      });
+      assert.deepStrictEqual(files['docs/advanced/tuning.html'].navigation.next, {
+        title: 'Introduction',
+        path: '/docs/intro/'
+      });
+      assert.strictEqual(files['docs/intro.html'].navigation.next, null, 'Last page in section should have no next');
+      assert.strictEqual(files['about.html'].navigation.prev, null, 'Leaf top-level page is its own section');
+    });
+
+    it('should walk the whole tree depth-first', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin({ usePermalinks: true, prevNext: 'tree' }));
+      const files = await ms.process();
+
+      assert.strictEqual(files['index.html'].navigation.prev, null, 'First page should have no prev');
+      assert.deepStrictEqual(files['blog/post1.html'].navigation.next, { title: 'Docs', path: '/docs/' });
+      assert.deepStrictEqual(files['docs/intro.html'].navigation.next, { title: 'About', path: '/about/' });
+      assert.strictEqual(files['contact.html'].navigation.next, null, 'Last page should have no next');
+    });
+
+    it('should follow the sorted order and skip excluded pages', async () => {
+      const ms = Metalsmith(fixture('draft')).use(
+        navigationPlugin({ usePermalinks: true, prevNext: 'tree', navIndex: { '/about': 1, '/blog': 2 } })
+      );
+      const files = await ms.process();
+
+      assert.deepStrictEqual(files['about.html'].navigation.next, { title: 'Blog Index', path: '/blog/' });
+      assert.strictEqual(files['draft-post.html'].navigation.prev, null, 'Excluded page should have no prev');
+      assert.strictEqual(files['draft-post.html'].navigation.next, null, 'Excluded page should have no next');
+    });
+
+    it('should skip directories without an index page', async () => {
+      const ms = Metalsmith(fixture('missing-index-root')).use(navigationPlugin({ prevNext: 'tree' }));
+      const files = await ms.process();
+
+      assert.deepStrictEqual(files['blog/second.html'].navigation.next, {
+        title: 'Basics',
+        path: '/guides/basics.html'
+      });
+      assert.deepStrictEqual(files['guides/basics.html'].navigation.prev, {
+        title: 'Second post',
+        path: '/blog/second.html'
+      });
+    });
+
+    it('should not add links unless enabled', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin({ usePermalinks: true }));
+      const files = await ms.process();
+
+      assert.strictEqual(files['docs/intro.html'].navigation.prev, undefined);
+      assert.strictEqual(files['docs/intro.html'].navigation.next, undefined);
+    });
+  });
+
+  describe('active trail', () => {
+    it('should flag the active page, its ancestors and expanded sections per page', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin({ usePermalinks: true, activeTrail: true }));
+      const files = await ms.process();
+      const tree = files['docs/advanced/tuning.html'].navigation.tree;
+
+      const home = tree.find((item) => item.title === 'Home');
+      const docs = tree.find((item) => item.title === 'Docs');
+      const advanced = docs.children.find((item) => item.title === 'Advanced');
+      const tuning = advanced.children.find((item) => item.title === 'Tuning');
+      const intro = docs.children.find((item) => item.title === 'Introduction');
+
+      assert.strictEqual(tuning.isActive, true, 'The page itself should be active');
+      assert.strictEqual(tuning.isInActiveTrail, false);
+      assert.strictEqual(docs.isInActiveTrail, true, 'Top-level ancestor should be in the trail');
+      assert.strictEqual(advanced.isInActiveTrail, true, 'Direct parent should be in the trail');
+      assert.strictEqual(advanced.isExpanded, true, 'Ancestors with children should be expanded');
+      assert.strictEqual(intro.isActive, false);
+      assert.strictEqual(intro.isInActiveTrail, false);
+      assert.strictEqual(home.isInActiveTrail, false, 'Home should not be in the trail of every page');
+    });
+
+    it('should mark the home page as active on the home page', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin({ usePermalinks: true, activeTrail: true }));
+      const files = await ms.process();
+      const tree = files['index.html'].navigation.tree;
+
+      assert.strictEqual(tree.find((item) => item.title === 'Home').isActive, true);
+      assert.ok(
+        tree.every((item) => !item.isInActiveTrail),
+        'No item should be in the trail of the home page'
+      );
+    });
+
+    it('should leave the shared navigation unchanged and follow rootPath', async () => {
+      const ms = Metalsmith(fixture('menus')).use(
+        navigationPlugin({ usePermalinks: true, activeTrail: true, rootPath: '/docs/' })
+      );
+      const files = await ms.process();
+      const { navigation } = ms.metadata();
+      const tree = files['docs/intro.html'].navigation.tree;
+
+      assert.deepStrictEqual(
+        tree.map((item) => item.title),
+        navigation.map((item) => item.title),
+        'Per-page view should mirror the metadata navigation'
+      );
+      assert.strictEqual(tree.find((item) => item.title === 'Introduction').isActive, true);
+      assert.strictEqual(navigation[0].isActive, undefined, 'Shared navigation should carry no flags');
+    });
+
+    it('should keep the trail when the navigation is trimmed to maxDepth', async () => {
+      const ms = Metalsmith(fixture('menus')).use(
+        navigationPlugin({ usePermalinks: true, activeTrail: true, maxDepth: 1 })
+      );
+      const files = await ms.process();
+      const tree = files['docs/advanced/tuning.html'].navigation.tree;
+
+      assert.strictEqual(tree.find((item) => item.path === '/docs/').isInActiveTrail, true);
+      assert.strictEqual(files['about.html'].navigation.tree.find((item) => item.path === '/about/').isActive, true);
+    });
+  });
+
+  describe('depth-limited and section-local navigation', () => {
+    it('should attach the top-level section of each page', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin({ usePermalinks: true, localNavigation: true }));
+      const files = await ms.process();
+
+      const section = files['docs/advanced/tuning.html'].navigation.section;
+      assert.strictEqual(section.title, 'Docs', 'Section should be the top-level ancestor');
+      assert.deepStrictEqual(
+        section.children.map((item) => item.title),
+        ['Advanced', 'Introduction']
+      );
+      assert.strictEqual(section.children[0].children.length, 1, 'Section should not be trimmed by default');
+      assert.strictEqual(files['docs/index.html'].navigation.section.title, 'Docs', 'Section root is its own section');
+      assert.strictEqual(files['about.html'].navigation.section.title, 'About');
+    });
+
+    it('should honor the section level and maxDepth', async () => {
+      const ms = Metalsmith(fixture('menus')).use(
+        navigationPlugin({ usePermalinks: true, localNavigation: { level: 2, maxDepth: 1 } })
+      );
+      const files = await ms.process();
+
+      const section = files['docs/advanced/tuning.html'].navigation.section;
+      assert.strictEqual(section.title, 'Advanced', 'Section should be the second-level ancestor');
+      assert.deepStrictEqual(section.children[0].title, 'Tuning');
+      assert.strictEqual(files['docs/index.html'].navigation.section, null, 'Pages above the level have no section');
+
+      const docsMs = Metalsmith(fixture('menus')).use(
+        navigationPlugin({ usePermalinks: true, localNavigation: { maxDepth: 1 } })
+      );
+      const docsFiles = await docsMs.process();
+      const advanced = docsFiles['docs/intro.html'].navigation.section.children.find(
+        (item) => item.title === 'Advanced'
+      );
+      assert.deepStrictEqual(advanced.children, [], 'Children below maxDepth should be trimmed');
+    });
+
+    it('should trim the metadata navigation to maxDepth', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin({ usePermalinks: true, maxDepth: 2 }));
+      const files = await ms.process();
+      const { navigation } = ms.metadata();
+
+      const docs = navigation.find((item) => item.title === 'Docs');
+      const advanced = docs.children.find((item) => item.title === 'Advanced');
+      assert.strictEqual(docs.children.length, 2, 'Second level should be kept');
+      assert.deepStrictEqual(advanced.children, [], 'Third level should be trimmed');
+
+      const crumbs = files['docs/advanced/tuning.html'].navigation.breadcrumbs;
+      assert.strictEqual(crumbs[crumbs.length - 1].title, 'Tuning', 'Breadcrumbs should use the untrimmed tree');
+    });
+  });
+
+  describe('extra items', () => {
+    const extraItems = [
+      { title: 'GitHub', url: 'https://github.com/example/site', navIndex: 0, external: true },
+      { title: 'API Reference', url: 'https://api.example.com/', parent: '/docs/', external: true },
+      { title: 'Email us', url: 'mailto:hello@example.com', menus: ['footer'] }
+    ];
+
+    it('should merge extra items into the tree and sort them like pages', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin({ usePermalinks: true, extraItems }));
+      await ms.process();
+      const { navigation } = ms.metadata();
+
+      const github = navigation[0];
+      assert.strictEqual(github.title, 'GitHub', 'GitHub should sort first by navIndex');
+      assert.strictEqual(github.path, 'https://github.com/example/site');
+      assert.strictEqual(github.external, true);
+
+      const docs = navigation.find((item) => item.title === 'Docs');
+      const api = docs.children.find((item) => item.title === 'API Reference');
+      assert.ok(api, 'API Reference should be nested under its parent');
+      assert.deepStrictEqual(api.children, []);
+
+      const email = navigation.find((item) => item.title === 'Email us');
+      assert.strictEqual(email.external, false);
+      assert.strictEqual(email.navIndex, null);
+    });
+
+    it('should find a directory parent without permalinks', async () => {
+      const ms = Metalsmith(fixture('menus')).use(navigationPlugin({ extraItems }));
+      await ms.process();
+      const docs = ms.metadata().navigation.find((item) => item.title === 'Docs');
+
+      assert.strictEqual(docs.path, '/docs/index.html');
+      assert.ok(docs.children.some((item) => item.title === 'API Reference'));
+    });
+
+    it('should include extra items in menus they opt into', async () => {
+      const ms = Metalsmith(fixture('menus')).use(
+        navigationPlugin({ usePermalinks: true, extraItems, menus: { footer: { optIn: true } } })
+      );
+      await ms.process();
+
+      assert.deepStrictEqual(
+        ms.metadata().footer.map((item) => item.title),
+        ['Home', 'About', 'Contact', 'Email us']
+      );
+    });
+
+    it('should skip external links in previous/next links', async () => {
+      const ms = Metalsmith(fixture('menus')).use(
+        navigationPlugin({ usePermalinks: true, extraItems, prevNext: 'tree' })
+      );
+      const files = await ms.process();
+
+      assert.strictEqual(files['index.html'].navigation.prev, null, 'GitHub should not be a previous page');
+    });
+
+    it('should fail the build when a parent is not in the navigation', async () => {
+      const ms = Metalsmith(fixture('menus')).use(
+        navigationPlugin({ extraItems: [{ title: 'Lost', url: '/lost/', parent: '/nowhere/' }] })
+      );
+
+      await assert.rejects(ms.process(), /extra item 'Lost' has unknown parent '\/nowhere\/'/);
+    });
+  });
+
+  describe('logical parents', () => {
+    it('should move pages with their children under navigation.parent', async () => {
+      const ms = Metalsmith(fixture('logical-parent')).use(navigationPlugin({ usePermalinks: true }));
+      await ms.process();
+      const { navigation } = ms.metadata();
+
+      const guides = navigation.find((item) => item.title === 'Guides');
+      const install = guides.children.find((item) => item.title === 'Install');
+      assert.ok(install, 'Install should be moved under Guides');
+      assert.strictEqual(install.path, '/articles/install/', 'Moving a page should not change its URL');
+      assert.deepStrictEqual(
+        install.children.map((item) => item.title),
+        ['Upgrade'],
+        'Upgrade should follow Install under its logical parent'
+      );
+
+      const articles = navigation.find((item) => item.path === '/articles/');
+      assert.deepStrictEqual(
+        articles.children.map((item) => item.title),
+        ['News'],
+        'Moved pages should leave their directory'
+      );
+    });
+
+    it('should find directory-style parents without permalinks', async () => {
+      const ms = Metalsmith(fixture('logical-parent')).use(navigationPlugin({}));
+      await ms.process();
+      const guides = ms.metadata().navigation.find((item) => item.title === 'Guides');
+      const install = guides.children.find((item) => item.title === 'Install');
+
+      assert.strictEqual(guides.path, '/guides/index.html');
+      assert.strictEqual(install.path, '/articles/install.html');
+      assert.deepStrictEqual(
+        install.children.map((item) => item.title),
+        ['Upgrade'],
+        "'/articles/install/' should name the page '/articles/install.html'"
+      );
+    });
+
+    it('should build breadcrumbs along the logical parent', async () => {
+      const ms = Metalsmith(fixture('logical-parent')).use(navigationPlugin({ usePermalinks: true }));
+      const files = await ms.process();
+
+      assert.deepStrictEqual(
+        files['articles/upgrade.html'].navigation.breadcrumbs.map((crumb) => crumb.title),
+        ['Home', 'Guides', 'Install', 'Upgrade']
+      );
+      assert.deepStrictEqual(
+        files['articles/news.html'].navigation.breadcrumbs.map((crumb) => crumb.title),
+        ['Home', 'articles', 'News'],
+        'Pages that were not moved should keep their directory trail'
+      );
+    });
+
+    it('should fail the build when navigation.parent does not exist', async () => {
+      const ms = Metalsmith(fixture('parent-unknown')).use(navigationPlugin({ usePermalinks: true }));
+
+      await assert.rejects(ms.process(), /'orphan\.html' names unknown navigation\.parent '\/missing\/'/);
+    });
+
+    it('should fail the build on a parent cycle', async () => {
+      const ms = Metalsmith(fixture('parent-cycle')).use(navigationPlugin({ usePermalinks: true }));
+
+      await assert.rejects(ms.process(), /parent cycle/);
+    });
+  });
+
+  describe('permalink output layout', () => {
+    it('should produce the same URLs for file.html and file/index.html inputs', async () => {
+      const ms = Metalsmith(fixture('permalink-output')).use(navigationPlugin({ usePermalinks: true }));
+      const files = await ms.process();
+      const { navigation } = ms.metadata();
+
+      const about = navigation.find((item) => item.title === 'About');
+      const blog = navigation.find((item) => item.title === 'Blog');
+      const first = blog.children.find((item) => item.title === 'First Post');
+      const second = blog.children.find((item) => item.title === 'Second Post');
+
+      assert.strictEqual(about.path, '/about/');
+      assert.strictEqual(first.path, '/blog/first-post/', 'Permalinked input should resolve to its directory');
+      assert.strictEqual(second.path, '/blog/second-post/', 'Plain input should resolve to a clean URL');
+      assert.strictEqual(files['blog/first-post/index.html'].urlPath, '/blog/first-post/');
+      assert.deepStrictEqual(
+        files['blog/first-post/index.html'].navigation.breadcrumbs.map((crumb) => crumb.title),
+        ['Home', 'Blog', 'First Post']
+      );
+    });
+
+    it('should honor a declared permalink or path as the canonical URL', async () => {
+      const ms = Metalsmith(fixture('permalink-output')).use(navigationPlugin({ usePermalinks: true }));
+      const files = await ms.process();
+      const { navigation } = ms.metadata();
+
+      const docs = navigation.find((item) => item.title === 'Documentation');
+      const third = navigation
+        .find((item) => item.title === 'Blog')
+        .children.find((item) => item.title === 'Third Post');
+
+      assert.strictEqual(docs.path, '/documentation/', 'permalink frontmatter should win');
+      assert.strictEqual(third.path, '/articles/third-post/', 'path frontmatter should be used');
+      assert.strictEqual(files['docs/index.html'].urlPath, '/documentation/');
+      assert.strictEqual(files['docs/index.html'].navigation.path, '/documentation/');
+      assert.deepStrictEqual(
+        files['blog/third-post.html'].navigation.breadcrumbs.map((crumb) => crumb.title),
+        ['Home', 'Blog', 'Third Post']
+      );
+    });
+
+    it('should ignore declared permalinks when usePermalinks is off', async () => {
+      const ms = Metalsmith(fixture('permalink-output')).use(navigationPlugin({ usePermalinks: false }));
+      const files = await ms.process();
+      const docs = ms.metadata().navigation.find((item) => item.title === 'Documentation');
+
+      assert.strictEqual(docs.path, '/docs/index.html');
+      assert.strictEqual(files['docs/index.html'].urlPath, '/docs/index.html');
+    });
+  });
+
+  describe('base path', () => {
+    it('should prefix navigation, breadcrumb and file URL paths', async () => {
+      const ms = Metalsmith(fixture('basic')).use(navigationPlugin({ usePermalinks: true, basePath: '/docs/v3/' }));
+      const files = await ms.process();
+      const { navigation } = ms.metadata();
+
+      const home = navigation.find((item) => item.title === 'Home Page');
+      const blog = navigation.find((item) => item.title === 'Blog Index');
+      assert.strictEqual(home.path, '/docs/v3/');
+      assert.strictEqual(blog.path, '/docs/v3/blog/');
+      assert.strictEqual(blog.children[0].path.startsWith('/docs/v3/blog/'), true);
+
+      const post = files['blog/blogpost-1.html'];
+      assert.strictEqual(post.urlPath, '/docs/v3/blog/blogpost-1/');
+      assert.strictEqual(post.navigation.path, '/docs/v3/blog/blogpost-1/');
+      assert.deepStrictEqual(
+        post.navigation.breadcrumbs.map((crumb) => crumb.path),
+        ['/docs/v3/', '/docs/v3/blog/', '/docs/v3/blog/blogpost-1/']
+      );
+    });
+
+    it('should keep matching rootPath and navIndex on un-prefixed paths', async () => {
+      const ms = Metalsmith(fixture('nav-index')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          basePath: '/docs/v3',
+          navIndex: { '/page4': 10, '/blog': 20 },
+          menus: { blog: { rootPath: '/blog/' } }
+        })
+      );
+      await ms.process();
+      const { navigation, blog } = ms.metadata();
+
+      assert.strictEqual(navigation.find((item) => item.title === 'Page 4').navIndex, 10);
+      assert.strictEqual(navigation.find((item) => item.title === 'Blog Index').navIndex, 20);
+      assert.strictEqual(blog.length, 3, 'rootPath should still find the blog section');
+      assert.ok(
+        blog.every((item) => item.path.startsWith('/docs/v3/blog/')),
+        'Menu paths should be prefixed'
+      );
+    });
+
+    it('should prefix per-page views and leave external links alone', async () => {
+      const ms = Metalsmith(fixture('menus')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          basePath: '/site/',
+          activeTrail: true,
+          localNavigation: true,
+          prevNext: 'tree',
+          extraItems: [{ title: 'GitHub', url: 'https://github.com/example/site', external: true }]
+        })
+      );
+      const files = await ms.process();
+      const { navigation } = ms.metadata();
+      const intro = files['docs/intro.html'].navigation;
+
+      assert.strictEqual(intro.tree.find((item) => item.title === 'Docs').isInActiveTrail, true);
+      assert.strictEqual(intro.tree.find((item) => item.title === 'Docs').path, '/site/docs/');
+      assert.strictEqual(intro.section.path, '/site/docs/');
+      assert.deepStrictEqual(intro.prev, { title: 'Tuning', path: '/site/docs/advanced/tuning/' });
+      assert.strictEqual(navigation.find((item) => item.title === 'GitHub').path, 'https://github.com/example/site');
+    });
+  });
+
+  describe('multilingual navigation', () => {
+    const i18n = { locales: ['en', 'de', 'fr'] };
+
+    it('should write one navigation tree per locale', async () => {
+      const ms = Metalsmith(fixture('i18n')).use(navigationPlugin({ usePermalinks: true, i18n }));
+      const files = await ms.process();
+      const { navigation } = ms.metadata();
+
+      assert.deepStrictEqual(Object.keys(navigation), ['en', 'de', 'fr']);
+      assert.deepStrictEqual(
+        navigation.en.map((item) => [item.title, item.path]),
+        [
+          ['Home', '/en/'],
+          ['Guides', '/en/guides/'],
+          ['About', '/en/about/']
+        ]
+      );
+      assert.deepStrictEqual(
+        navigation.de.map((item) => item.title),
+        ['Startseite', 'Anleitungen', 'Über uns']
+      );
+      assert.strictEqual(files['de/about.html'].urlPath, '/de/about/');
+      assert.strictEqual(files['de/about.html'].navigation.locale, 'de');
+    });
+
+    it('should keep breadcrumbs inside the page locale', async () => {
+      const ms = Metalsmith(fixture('i18n')).use(navigationPlugin({ usePermalinks: true, i18n }));
+      const files = await ms.process();
+
+      assert.deepStrictEqual(files['en/guides/start.html'].navigation.breadcrumbs, [
+        { title: 'Home', path: '/en/' },
+        { title: 'Guides', path: '/en/guides/' },
+        { title: 'Getting Started', path: '/en/guides/start/' }
+      ]);
+      assert.deepStrictEqual(
+        files['de/guides/index.html'].navigation.breadcrumbs.map((crumb) => crumb.title),
+        ['Startseite', 'Anleitungen']
+      );
+    });
+
+    it('should link translations by path or translationKey', async () => {
+      const ms = Metalsmith(fixture('i18n')).use(navigationPlugin({ usePermalinks: true, i18n }));
+      const files = await ms.process();
+
+      assert.deepStrictEqual(files['en/about.html'].navigation.alternates, [
+        { locale: 'de', title: 'Über uns', path: '/de/about/' },
+        { locale: 'fr', title: 'À propos', path: '/fr/a-propos/' }
+      ]);
+      assert.deepStrictEqual(
+        files['en/guides/start.html'].navigation.alternates,
+        [],
+        'Pages without translations should get an empty list'
+      );
+    });
+
+    it('should detect the locale from lang frontmatter', async () => {
+      const ms = Metalsmith(fixture('i18n-lang')).use(navigationPlugin({ usePermalinks: true, i18n }));
+      const files = await ms.process();
+      const { navigation } = ms.metadata();
+
+      assert.deepStrictEqual(
+        navigation.en.map((item) => item.title),
+        ['Home', 'About']
+      );
+      assert.deepStrictEqual(
+        navigation.de.map((item) => [item.title, item.path]),
+        [['Über uns', '/ueber-uns/']]
+      );
+      assert.deepStrictEqual(navigation.fr, []);
+      assert.deepStrictEqual(files['about.html'].navigation.alternates, [
+        { locale: 'de', title: 'Über uns', path: '/ueber-uns/' }
+      ]);
+    });
+
+    it('should write named menus per locale', async () => {
+      const ms = Metalsmith(fixture('i18n')).use(
+        navigationPlugin({ usePermalinks: true, i18n, menus: { header: { maxDepth: 1 } } })
+      );
+      await ms.process();
+      const { header } = ms.metadata();
+
+      assert.deepStrictEqual(Object.keys(header), ['en', 'de', 'fr']);
+      assert.deepStrictEqual(header.en.find((item) => item.title === 'Guides').children, []);
+    });
+
+    it('should leave root pages without lang or excluded out of directory locales', async () => {
+      const ms = Metalsmith(fixture('i18n-root')).use(navigationPlugin({ usePermalinks: true, i18n }));
+      const files = await ms.process();
+      const { navigation } = ms.metadata();
+
+      assert.deepStrictEqual(
+        navigation.en.map((item) => item.path),
+        ['/en/', '/en/about/']
+      );
+      assert.strictEqual(files['index.html'].navigation, undefined, 'The redirect page should belong to no locale');
+      assert.strictEqual(files['old-home.html'].navigation, undefined, 'An excluded page should belong to no locale');
+      assert.strictEqual(files['en/about.html'].navigation.locale, 'en');
+    });
+
+    it('should still fail on a page with lang outside its locale directory', async () => {
+      const ms = Metalsmith(fixture('i18n-root'))
+        .use((files) => {
+          files['old-home.html'].draft = false;
+        })
+        .use(navigationPlugin({ usePermalinks: true, i18n }));
+
+      await assert.rejects(ms.process(), /locale 'en' has pages both inside and outside its 'en\/' directory/);
+    });
+
+    it('should fail the build on an unknown lang', async () => {
+      const ms = Metalsmith(fixture('i18n-lang')).use(
+        navigationPlugin({ usePermalinks: true, i18n: { locales: ['en', 'fr'] } })
+      );
+
+      await assert.rejects(ms.process(), /'ueber-uns\.html' has lang 'de'/);
+    });
+  });
+
+  describe('sitemap', () => {
+    it('should add sitemap.xml listing included pages with frontmatter fields', async () => {
+      const ms = Metalsmith(fixture('sitemap')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          siteUrl: 'https://example.com/',
+          navExcludePatterns: [/^private\//],
+          sitemap: true
+        })
+      );
+      const files = await ms.process();
+      const xml = files['sitemap.xml'].contents.toString();
+
+      assert.strictEqual(
+        xml,
+        [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+          '  <url>',
+          '    <loc>https://example.com/</loc>',
+          '    <lastmod>2024-05-01</lastmod>',
+          '  </url>',
+          '  <url>',
+          '    <loc>https://example.com/about/</loc>',
+          '    <changefreq>monthly</changefreq>',
+          '    <priority>0.8</priority>',
+          '  </url>',
+          '  <url>',
+          '    <loc>https://example.com/blog/</loc>',
+          '    <lastmod>2024-06-01T10:00:00Z</lastmod>',
+          '  </url>',
+          '</urlset>',
+          ''
+        ].join('\n')
+      );
+    });
+
+    it('should let sitemap patterns replace the navigation patterns and honor basePath', async () => {
+      const ms = Metalsmith(fixture('sitemap')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          basePath: '/v3/',
+          siteUrl: 'https://example.com',
+          navExcludePatterns: [/^private\//],
+          sitemap: { filename: 'site-map.xml', navExcludePatterns: [/^blog\//] }
+        })
+      );
+      const files = await ms.process();
+      const xml = files['site-map.xml'].contents.toString();
+
+      assert.ok(xml.includes('<loc>https://example.com/v3/private/secret/</loc>'), 'Private page should be listed');
+      assert.ok(!xml.includes('/v3/blog/'), 'Blog should be excluded by the sitemap pattern');
+      assert.ok(!xml.includes('/draft/'), 'Drafts should always be skipped');
+      assert.strictEqual(files['sitemap.xml'], undefined);
+    });
+
+    it('should list every locale in i18n mode', async () => {
+      const ms = Metalsmith(fixture('i18n')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          siteUrl: 'https://example.com',
+          i18n: { locales: ['en', 'de', 'fr'] },
+          sitemap: true
+        })
+      );
+      const files = await ms.process();
+      const xml = files['sitemap.xml'].contents.toString();
+
+      assert.ok(xml.includes('<loc>https://example.com/de/about/</loc>'));
+      assert.ok(xml.includes('<loc>https://example.com/fr/a-propos/</loc>'));
+      assert.strictEqual(xml.match(/<url>/g).length, 9);
+    });
+  });
+
+  describe('breadcrumb structured data', () => {
+    it('should add a schema.org BreadcrumbList with absolute URLs', async () => {
+      const ms = Metalsmith(fixture('breadcrumbs-jsonld')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          basePath: '/v3/',
+          siteUrl: 'https://example.com/',
+          breadcrumbsJsonLd: true
+        })
+      );
+      const files = await ms.process();
+
+      assert.deepStrictEqual(files['docs/setup.html'].navigation.breadcrumbsJsonLd, {
+        '@context': 'https://schema.org',
+        '@type': 'BreadcrumbList',
+        itemListElement: [
+          { '@type': 'ListItem', position: 1, name: 'Home', item: 'https://example.com/v3/' },
+          { '@type': 'ListItem', position: 2, name: 'Docs', item: 'https://example.com/v3/docs/' },
+          {
+            '@type': 'ListItem',
+            position: 3,
+            name: 'Setup </script> guide',
+            item: 'https://example.com/v3/docs/setup/'
+          }
+        ]
+      });
+      assert.ok(!files['docs/setup.html'].contents.toString().includes('ld+json'), 'Contents should be untouched');
+    });
+
+    it('should inject the JSON-LD script into the page head', async () => {
+      const ms = Metalsmith(fixture('breadcrumbs-jsonld')).use(
+        navigationPlugin({ usePermalinks: true, siteUrl: 'https://example.com', breadcrumbsJsonLd: 'inject' })
+      );
+      const files = await ms.process();
+      const html = files['docs/setup.html'].contents.toString();
+
+      const match = html.match(/<script type="application\/ld\+json">(.*)<\/script>\n<\/head>/);
+      assert.ok(match, 'Script should be placed right before </head>');
+      assert.ok(!match[1].includes('</script>'), 'Title should not be able to close the script');
+      assert.strictEqual(JSON.parse(match[1]).itemListElement[2].name, 'Setup </script> guide');
+      assert.strictEqual(
+        files['docs/fragment.html'].contents.toString(),
+        '<h1>Fragment</h1>\n',
+        'Pages without a head should be unchanged'
+      );
+    });
+  });
+
+  describe('HTML rendering', () => {
+    const tree = [
+      { title: 'Home', path: '/', navIndex: 0, children: [] },
+      {
+        title: 'Docs & Guides',
+        path: '/docs/',
+        navIndex: 1,
+        children: [{ title: 'Setup', path: '/docs/setup/', navIndex: null, children: [] }]
+      },
+      { title: 'GitHub', path: 'https://github.com/example', navIndex: 2, children: [], external: true }
+    ];
+
+    it('should render nested accessible menu markup', () => {
+      assert.strictEqual(
+        renderMenu(tree, { currentPath: '/docs/setup/', ariaLabel: 'Site', classNames: { nav: 'site-nav' } }),
+        '<nav class="site-nav" aria-label="Site"><ul class="menu__list">' +
+          '<li class="menu__item"><a class="menu__link" href="/">Home</a></li>' +
+          '<li class="menu__item is-active-trail"><details class="menu__section" open><summary>' +
+          '<a class="menu__link" href="/docs/">Docs &amp; Guides</a></summary><ul class="menu__list">' +
+          '<li class="menu__item is-active"><a class="menu__link" href="/docs/setup/" aria-current="page">Setup</a></li>' +
+          '</ul></details></li>' +
+          '<li class="menu__item"><a class="menu__link" href="https://github.com/example" rel="external">GitHub</a></li>' +
+          '</ul></nav>'
+      );
+    });
+
+    it('should stop at maxDepth and leave sections closed off the current trail', () => {
+      const html = renderMenu(tree, { currentPath: '/', maxDepth: 1 });
+      assert.ok(!html.includes('<details'), 'Children beyond maxDepth should not render');
+      assert.ok(!renderMenu(tree).includes(' open'), 'Sections should start closed without a current page');
+      assert.strictEqual(renderMenu([]), '');
+    });
+
+    it('should render hand-built items without children', () => {
+      assert.strictEqual(
+        renderMenu(
+          [
+            { title: 'A', path: '/a' },
+            { title: 'B', path: '/b', children: [{ title: 'C', path: '/b/c' }] }
+          ],
+          { currentPath: '/b/c' }
+        ),
+        '<nav class="menu" aria-label="Main"><ul class="menu__list">' +
+          '<li class="menu__item"><a class="menu__link" href="/a">A</a></li>' +
+          '<li class="menu__item is-active-trail"><details class="menu__section" open><summary>' +
+          '<a class="menu__link" href="/b">B</a></summary><ul class="menu__list">' +
+          '<li class="menu__item is-active"><a class="menu__link" href="/b/c" aria-current="page">C</a></li>' +
+          '</ul></details></li></ul></nav>'
+      );
+    });
+
+    it('should render breadcrumbs as an ordered list', () => {
+      const crumbs = [
+        { title: 'Home', path: '/' },
+        { title: 'Docs', path: '/docs/' }
+      ];
+      assert.strictEqual(
+        renderBreadcrumbs(crumbs),
+        '<nav class="breadcrumbs" aria-label="Breadcrumb"><ol class="breadcrumbs__list">' +
+          '<li class="breadcrumbs__item"><a class="breadcrumbs__link" href="/">Home</a></li>' +
+          '<li class="breadcrumbs__item is-active"><a class="breadcrumbs__link" href="/docs/" aria-current="page">Docs</a></li>' +
+          '</ol></nav>'
+      );
+      assert.ok(!renderBreadcrumbs(crumbs, { currentPath: '/docs/other/' }).includes('aria-current'));
+      assert.strictEqual(renderBreadcrumbs([]), '');
+    });
+
+    it('should attach pre-rendered HTML to each file', async () => {
+      const ms = Metalsmith(fixture('breadcrumbs-jsonld')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          basePath: '/v3/',
+          renderHtml: { menu: { ariaLabel: 'Site' }, breadcrumbs: { classNames: { nav: 'crumbs' } } }
+        })
+      );
+      const files = await ms.process();
+      const { menuHtml, breadcrumbsHtml } = files['docs/setup.html'].navigation;
+
+      assert.ok(menuHtml.startsWith('<nav class="menu" aria-label="Site">'));
+      assert.ok(menuHtml.includes('href="/v3/docs/setup/" aria-current="page">Setup &lt;/script&gt; guide</a>'));
+      assert.ok(breadcrumbsHtml.startsWith('<nav class="crumbs" aria-label="Breadcrumb">'));
+      assert.ok(breadcrumbsHtml.includes('<a class="breadcrumbs__link" href="/v3/docs/">Docs</a>'));
+    });
+  });
+
+  describe('JSON export', () => {
+    it('should write the sorted navigation tree with the selected fields', async () => {
+      const ms = Metalsmith(fixture('breadcrumbs-jsonld')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          basePath: '/v3/',
+          navIndex: { '/docs/': 0 },
+          emitJson: { fields: ['path', 'children'] }
+        })
+      );
+      const files = await ms.process();
+
+      assert.deepStrictEqual(JSON.parse(files['navigation.json'].contents.toString()), [
+        {
+          path: '/v3/docs/',
+          children: [
+            { path: '/v3/docs/fragment/', children: [] },
+            { path: '/v3/docs/setup/', children: [] }
+          ]
+        },
+        { path: '/v3/', children: [] }
+      ]);
+    });
+
+    it('should write a flat index with parent paths and depths', async () => {
+      const ms = Metalsmith(fixture('breadcrumbs-jsonld')).use(
+        navigationPlugin({ usePermalinks: true, emitJson: { flat: true, filename: 'data/nav.json' } })
+      );
+      const files = await ms.process();
+
+      assert.deepStrictEqual(JSON.parse(files['data/nav.json'].contents.toString()), [
+        { path: '/', title: 'Home', parentPath: null, depth: 1 },
+        { path: '/docs/', title: 'Docs', parentPath: null, depth: 1 },
+        { path: '/docs/fragment/', title: 'Fragment', parentPath: '/docs/', depth: 2 },
+        { path: '/docs/setup/', title: 'Setup </script> guide', parentPath: '/docs/', depth: 2 }
+      ]);
+      assert.strictEqual(files['navigation.json'], undefined);
+    });
+
+    it('should give byte-identical output across builds and key locales in i18n mode', async () => {
+      const build = async () => {
+        const ms = Metalsmith(fixture('i18n')).use(
+          navigationPlugin({ usePermalinks: true, i18n: { locales: ['en', 'de', 'fr'] }, emitJson: true })
+        );
+        const files = await ms.process();
+        return files['navigation.json'].contents.toString();
+      };
+      const first = await build();
+
+      assert.strictEqual(await build(), first);
+      assert.deepStrictEqual(Object.keys(JSON.parse(first)), ['en', 'de', 'fr']);
+      assert.ok(first.endsWith('\n'));
+    });
+  });
+
+  describe('navigation diagnostics', () => {
+    it('should collect problems into the metadata without failing the build', async () => {
+      const ms = Metalsmith(fixture('diagnostics')).use(
+        navigationPlugin({ usePermalinks: true, validate: true, navIndex: { '/nowhere/': 1, '/contact': 'last' } })
+      );
+      await ms.process();
+
+      assert.deepStrictEqual(ms.metadata().navigationDiagnostics, [
+        {
+          type: 'unmatched-nav-index',
+          path: '/nowhere/',
+          message: "navIndex key '/nowhere/' matches no navigation item"
+        },
+        {
+          type: 'invalid-nav-index',
+          path: '/contact',
+          message: 'navIndex key \'/contact\' has a non-numeric value ("last")'
+        },
+        {
+          type: 'invalid-nav-index',
+          path: 'about.html',
+          message: '\'about.html\' has a non-numeric navigation.navIndex ("first")'
+        },
+        {
+          type: 'duplicate-title',
+          path: null,
+          message: "2 items under the top level share the title 'About'"
+        },
+        {
+          type: 'missing-index',
+          path: '/guides/',
+          message: "'/guides/' has no index page, so its link leads nowhere"
+        }
+      ]);
+    });
+
+    it('should report an empty list for a clean navigation', async () => {
+      const ms = Metalsmith(fixture('breadcrumbs-jsonld')).use(
+        navigationPlugin({ usePermalinks: true, validate: { metadataKey: 'navProblems' }, navIndex: { '/docs': 1 } })
+      );
+      await ms.process();
+
+      assert.deepStrictEqual(ms.metadata().navProblems, []);
+    });
+
+    it('should fail the build in strict mode', async () => {
+      const ms = Metalsmith(fixture('diagnostics')).use(navigationPlugin({ strict: true }));
+
+      await assert.rejects(ms.process(), /navigation validation found 3 problem\(s\):\n {2}- 'about\.html'/);
+    });
+  });
+
+  describe('directories without an index page', () => {
+    const build = async (options) => {
+      const ms = Metalsmith(fixture('missing-index')).use(
+        navigationPlugin({ usePermalinks: true, sectionLabels: { '/guides/': 'Guides' }, ...options })
+      );
+      const files = await ms.process();
+      return { files, navigation: ms.metadata().navigation, metadata: ms.metadata() };
+    };
+    const titles = (items) => items.map((item) => item.title);
+
+    it('should keep the directory link and use the section label by default', async () => {
+      const { navigation } = await build({});
+      const guides = navigation.find((item) => item.title === 'Guides');
+
+      assert.strictEqual(guides.path, '/guides/');
+      assert.deepStrictEqual(titles(guides.children), ['Basics', 'Intro']);
+    });
+
+    it('should link the section to its first child with link-first-child', async () => {
+      const { files, navigation } = await build({ missingIndex: 'link-first-child', prevNext: 'tree' });
+      const guides = navigation.find((item) => item.title === 'Guides');
+
+      assert.strictEqual(guides.path, '/guides/basics/');
+      const page = files['guides/basics.html'].navigation;
+      assert.deepStrictEqual(page.breadcrumbs, [
+        { title: 'Home', path: '/' },
+        { title: 'Guides', path: '/guides/basics/' },
+        { title: 'Basics', path: '/guides/basics/' }
+      ]);
+      assert.deepStrictEqual(page.prev, { title: 'About', path: '/about/' }, 'The section should not be a page');
+    });
+
+    it('should render the section as a plain label with no-link', async () => {
+      const { files, navigation } = await build({ missingIndex: 'no-link', renderHtml: true });
+      const guides = navigation.find((item) => item.title === 'Guides');
+
+      assert.strictEqual(guides.path, null);
+      assert.deepStrictEqual(files['guides/intro.html'].navigation.breadcrumbs[1], { title: 'Guides', path: null });
+      assert.ok(
+        files['guides/intro.html'].navigation.menuHtml.includes('<summary><span class="menu__link">Guides</span>')
+      );
+    });
+
+    it('should merge the children into the parent with hoist-children', async () => {
+      const { navigation } = await build({ missingIndex: 'hoist-children' });
+
+      assert.deepStrictEqual(titles(navigation), ['Home', 'Basics', 'About', 'Intro']);
+    });
+
+    it('should drop the section with omit, also per menu', async () => {
+      const { navigation, files, metadata } = await build({
+        missingIndex: 'omit',
+        menus: { all: { missingIndex: 'link' } }
+      });
+
+      assert.deepStrictEqual(titles(navigation), ['Home', 'About']);
+      assert.deepStrictEqual(titles(metadata.all), ['Home', 'About', 'Guides']);
+      assert.deepStrictEqual(files['guides/intro.html'].navigation.breadcrumbs, [{ title: 'Home', path: '/' }]);
+    });
+  });
+
+  describe('rootPath with directories without an index page', () => {
+    const build = async (options) => {
+      const ms = Metalsmith(fixture('missing-index-root')).use(
+        navigationPlugin({ sectionLabels: { '/guides/': 'Alpha' }, sortBy: 'title', ...options })
+      );
+      await ms.process();
+      return ms.metadata();
+    };
+    const titles = (items) => items.map((item) => item.title);
+
+    for (const missingIndex of ['no-link', 'link-first-child']) {
+      it(`should narrow to a section after a ${missingIndex} label`, async () => {
+        const { navigation, blog } = await build({
+          usePermalinks: true,
+          missingIndex,
+          rootPath: '/blog/',
+          menus: { blog: { rootPath: '/blog/' } }
+        });
+
+        assert.deepStrictEqual(titles(navigation), ['First post', 'Second post']);
+        assert.deepStrictEqual(titles(blog), ['First post', 'Second post']);
+      });
+
+      it(`should narrow to a ${missingIndex} label by its directory path`, async () => {
+        const { navigation, guides } = await build({
+          usePermalinks: true,
+          missingIndex,
+          rootPath: '/guides/',
+          menus: { guides: { rootPath: '/guides/' } }
+        });
+
+        assert.deepStrictEqual(titles(navigation), ['Basics', 'Intro']);
+        assert.deepStrictEqual(titles(guides), ['Basics', 'Intro']);
+      });
+    }
+
+    it('should find a directory rootPath without permalinks', async () => {
+      const { navigation, blog } = await build({
+        missingIndex: 'no-link',
+        rootPath: '/blog/',
+        menus: { blog: { rootPath: '/blog/' } }
+      });
+
+      assert.deepStrictEqual(titles(navigation), ['First post', 'Second post']);
+      assert.deepStrictEqual(titles(blog), ['First post', 'Second post']);
+    });
+  });
+
+  describe('title fallback', () => {
+    const titlesFor = async (titleFallback) => {
+      const ms = Metalsmith(fixture('title-fallback')).use(navigationPlugin({ usePermalinks: true, titleFallback }));
+      await ms.process();
+      const titles = {};
+      const collect = (items) => {
+        items.forEach((item) => {
+          titles[item.path] = item.title;
+          collect(item.children);
+        });
+      };
+      collect(ms.metadata().navigation);
+      return titles;
+    };
+
+    it('should use raw names without titleFallback', async () => {
+      const titles = await titlesFor(null);
+
+      assert.strictEqual(titles['/getting-started-v2/'], 'getting-started-v2');
+      assert.strictEqual(titles['/01-intro/'], '01-intro');
+    });
+
+    it('should chain built-in transforms and leave frontmatter titles alone', async () => {
+      const titles = await titlesFor(['stripNumericPrefix', 'titleCase']);
+
+      assert.deepStrictEqual(titles, {
+        '/': 'Home',
+        '/01-intro/': 'Intro',
+        '/getting-started-v2/': 'Getting Started V2',
+        '/guide/': 'Guide',
+        '/reference/': 'Reference',
+        '/reference/api-docs/': 'API docs'
+      });
+      assert.strictEqual((await titlesFor('sentenceCase'))['/getting-started-v2/'], 'Getting started v2');
+    });
+
+    it('should prefer the first h1 with firstHeading', async () => {
+      const titles = await titlesFor(['firstHeading', 'titleCase']);
+
+      assert.strictEqual(titles['/guide/'], 'Read me & go');
+      assert.strictEqual(titles['/01-intro/'], '01 Intro', 'Pages without an h1 fall through to the next step');
+    });
+
+    it('should call custom functions with the name, file and path', async () => {
+      const calls = [];
+      const titles = await titlesFor((name, file, path) => {
+        calls.push([name, file === null, path]);
+        return name.toUpperCase();
+      });
+
+      assert.strictEqual(titles['/guide/'], 'GUIDE');
+      assert.ok(calls.some(([name, noFile, path]) => name === 'reference' && noFile && path === '/reference/'));
+      assert.ok(!calls.some(([name]) => name === 'api-docs'), 'Pages with a title should not reach the fallback');
+    });
+  });
+
+  describe('numeric filename prefixes', () => {
+    const summarize = (items) => items.map((item) => ({ title: item.title, path: item.path, navIndex: item.navIndex }));
+
+    it('should order by prefix and strip it from titles', async () => {
+      const ms = Metalsmith(fixture('numeric-prefixes')).use(
+        navigationPlugin({ usePermalinks: true, numericPrefixes: true, titleFallback: 'titleCase' })
+      );
+      await ms.process();
+      const navigation = ms.metadata().navigation;
+
+      assert.deepStrictEqual(summarize(navigation), [
+        { title: 'Deploy', path: '/03-deploy/', navIndex: 0 },
+        { title: 'Install', path: '/01-install/', navIndex: 1 },
+        { title: 'Configure', path: '/02-configure/', navIndex: 2 },
+        { title: 'Guides', path: '/10-guides/', navIndex: 10 },
+        { title: 'Home', path: '/', navIndex: null },
+        { title: '404', path: '/404/', navIndex: null }
+      ]);
+      assert.deepStrictEqual(
+        navigation[3].children.map((item) => item.title),
+        ['First', 'Second']
+      );
+    });
+
+    it('should let options.navIndex win and strip prefixes from URLs when asked', async () => {
+      const ms = Metalsmith(fixture('numeric-prefixes')).use(
+        navigationPlugin({ numericPrefixes: { stripFromUrl: true }, navIndex: { '/configure.html': 0.5 } })
+      );
+      const files = await ms.process();
+      const navigation = ms.metadata().navigation;
+
+      assert.deepStrictEqual(summarize(navigation).slice(0, 3), [
+        { title: 'Deploy', path: '/deploy.html', navIndex: 0 },
+        { title: 'configure', path: '/configure.html', navIndex: 0.5 },
+        { title: 'install', path: '/install.html', navIndex: 1 }
+      ]);
+      assert.strictEqual(navigation[3].path, '/guides/index.html');
+      assert.strictEqual(files['10-guides/01-first.html'].urlPath, '/guides/first.html');
+      assert.deepStrictEqual(
+        files['10-guides/01-first.html'].navigation.breadcrumbs.map((crumb) => crumb.path),
+        ['/', '/guides/index.html', '/guides/first.html']
+      );
+    });
+  });
+
+  describe('declarative sorting', () => {
+    const build = async (options) => {
+      const ms = Metalsmith(fixture('sort-by')).use(navigationPlugin({ usePermalinks: true, ...options }));
+      await ms.process();
+      return ms.metadata().navigation;
+    };
+    const titles = (items) => items.map((item) => item.title);
+
+    it('should sort by title after navIndex with locale-aware collation', async () => {
+      const navigation = await build({ sortBy: 'title', sortLocale: 'en' });
+
+      assert.deepStrictEqual(titles(navigation), ['Home', 'Äpfel', 'apple', 'Blog', 'Édition', 'Zebra']);
+      assert.deepStrictEqual(titles((await build({ sortBy: 'title', sortLocale: 'sv' })).slice(-2)), [
+        'Zebra',
+        'Äpfel'
+      ]);
+    });
+
+    it('should apply per-path rules with frontmatter keys and descending order', async () => {
+      const navigation = await build({ sortBy: { '/blog/': ['-date', 'title'], '*': 'title' }, sortLocale: 'en' });
+      const blog = navigation.find((item) => item.title === 'Blog');
+
+      assert.deepStrictEqual(titles(blog.children), ['Beta', 'Gamma', 'Alpha', 'Delta']);
+      assert.strictEqual(navigation[1].title, 'Äpfel', 'The * rule should apply to the top level');
+    });
+
+    it('should apply directory keys to index items without permalinks', async () => {
+      const navigation = await build({ usePermalinks: false, sortBy: { '/blog/': ['-date', 'title'] } });
+      const blog = navigation.find((item) => item.title === 'Blog');
+
+      assert.strictEqual(blog.path, '/blog/index.html');
+      assert.deepStrictEqual(titles(blog.children), ['Beta', 'Gamma', 'Alpha', 'Delta']);
+    });
+
+    it('should compare navIndex where the rule lists it', async () => {
+      const navigation = await build({ sortBy: ['title', 'navIndex'], sortLocale: 'en' });
+
+      assert.deepStrictEqual(titles(navigation), ['Äpfel', 'apple', 'Blog', 'Édition', 'Home', 'Zebra']);
+    });
+  });
+
+  describe('inclusion and exclusion rules', () => {
+    const titles = (items) => items.flatMap((item) => [item.title, ...titles(item.children)]);
+
+    it('should read string patterns as globs', async () => {
+      const ms = Metalsmith(fixture('nav-rules')).use(
+        navigationPlugin({ navExcludePatterns: ['drafts/', '**/_*.html'] })
+      );
+      await ms.process();
+      const found = titles(ms.metadata().navigation);
+
+      assert.ok(
+        !found.includes('Draft One') && !found.includes('Draft Two'),
+        'A trailing slash should cover a directory'
+      );
+      assert.ok(!found.includes('Partial'));
+      assert.ok(found.includes('Published'));
+    });
+
+    it('should exclude pages by frontmatter conditions', async () => {
+      const ms = Metalsmith(fixture('nav-rules')).use(
+        navigationPlugin({
+          navExcludePatterns: [{ 'navigation.hidden': true }, { date: { after: 'now' } }, { tags: 'internal' }]
+        })
+      );
+      await ms.process();
+      const found = titles(ms.metadata().navigation);
+
+      assert.ok(!found.includes('Internal'));
+      assert.ok(!found.includes('Scheduled'), 'Posts dated in the future should be hidden');
+      assert.ok(!found.includes('Tagged'), 'A value should match an entry of an array field');
+      assert.ok(found.includes('Published') && found.includes('About'));
+    });
+
+    it('should match array conditions when any of their values does', async () => {
+      const ms = Metalsmith(fixture('nav-rules')).use(
+        navigationPlugin({ navExcludePatterns: [{ tags: ['archived', 'team'] }, { title: ['About', 'Internal'] }] })
+      );
+      await ms.process();
+      const found = titles(ms.metadata().navigation);
+
+      assert.ok(!found.includes('Tagged'), 'An entry should match an entry of an array field');
+      assert.ok(!found.includes('About') && !found.includes('Internal'), 'An entry should match a plain field');
+      assert.ok(found.includes('Published'));
+    });
+
+    it('should only keep pages matching navIncludePatterns', async () => {
+      const ms = Metalsmith(fixture('nav-rules')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          navIncludePatterns: ['index.html', 'blog/**'],
+          navExcludePatterns: ['blog/_*'],
+          menus: { footer: { navIncludePatterns: [{ date: { exists: true } }] } }
+        })
+      );
+      await ms.process();
+
+      assert.deepStrictEqual(titles(ms.metadata().navigation), ['Home', 'Blog', 'Published', 'Scheduled']);
+      assert.deepStrictEqual(titles(ms.metadata().footer), ['Published', 'Scheduled']);
+    });
+
+    it('should report the rule that excluded each page', async () => {
+      const logged = [];
+      const ms = Metalsmith(fixture('nav-rules')).use(
+        navigationPlugin({ navExcludePatterns: [/about/, 'drafts/', { date: { after: 'now' } }] })
+      );
+      const log = Object.assign((...args) => logged.push(args.slice(1)), { warn() {} });
+      ms.debug = Object.assign(() => log, { enable() {}, disable() {} });
+      await ms.process();
+
+      assert.deepStrictEqual(logged, [
+        ['about.html', 'navExcludePatterns[0] /about/'],
+        ['blog/scheduled.html', 'navExcludePatterns[2] {"date":{"after":"now"}}'],
+        ['drafts/one.html', "navExcludePatterns[1] 'drafts/'"],
+        ['drafts/two.html', "navExcludePatterns[1] 'drafts/'"]
+      ]);
+    });
+  });
+
+  describe('non-HTML sources', () => {
+    const pattern = ['**/*.md', '**/*.njk', '**/*.html'];
+    const outline = (items) => items.map((item) => [item.path, outline(item.children)]);
+
+    it('should build the navigation from every page matching the pattern', async () => {
+      const ms = Metalsmith(fixture('sources')).use(navigationPlugin({ pattern }));
+      const files = await ms.process();
+
+      assert.deepStrictEqual(outline(ms.metadata().navigation), [
+        ['/', []],
+        ['/blog/index.html', [['/blog/post.html', []]]],
+        [
+          '/docs/index.html',
+          [
+            ['/docs/api.html', []],
+            ['/docs/setup.html', []]
+          ]
+        ],
+        ['/guide.html', [['/guide/intro.html', []]]],
+        ['/about.html', []],
+        ['/contact.html', []]
+      ]);
+      assert.strictEqual(files['docs/setup.md'].urlPath, '/docs/setup.html');
+      assert.strictEqual(files['contact.html.njk'].urlPath, '/contact.html');
+      assert.deepStrictEqual(
+        files['guide/intro.md'].navigation.breadcrumbs.map((crumb) => crumb.title),
+        ['Home', 'Guide', 'Intro']
+      );
+      assert.strictEqual(files['blog/index.css'].navigation, undefined, 'Files outside the pattern should be ignored');
+    });
+
+    it('should build permalink URLs whatever the source extension', async () => {
+      const ms = Metalsmith(fixture('sources')).use(navigationPlugin({ pattern, usePermalinks: true }));
+      const files = await ms.process();
+
+      assert.strictEqual(files['index.md'].navigation.path, '/');
+      assert.strictEqual(files['docs/index.md'].navigation.path, '/docs/');
+      assert.strictEqual(files['about.njk'].navigation.path, '/about/');
+      assert.strictEqual(files['contact.html.njk'].navigation.path, '/contact/');
+      assert.strictEqual(files['guide/intro.md'].navigation.path, '/guide/intro/');
+    });
+
+    it('should publish pages under the extension from extensionMap', async () => {
+      const ms = Metalsmith(fixture('sources')).use(navigationPlugin({ pattern, extensionMap: { '.njk': '.htm' } }));
+      const files = await ms.process();
+
+      assert.strictEqual(files['about.njk'].urlPath, '/about.htm');
+      assert.strictEqual(files['docs/setup.md'].urlPath, '/docs/setup.html');
+    });
+
+    it('should only read HTML files by default', async () => {
+      const ms = Metalsmith(fixture('sources')).use(navigationPlugin());
+      await ms.process();
+
+      assert.deepStrictEqual(outline(ms.metadata().navigation), [['/docs/index.html', [['/docs/api.html', []]]]]);
+    });
+
+    it('should fail when two sources are published under the same path', async () => {
+      const ms = Metalsmith(fixture('source-collision')).use(navigationPlugin({ pattern }));
+
+      await assert.rejects(ms.process(), /'about\.html' and 'about\.md' are both published as 'about\.html'/);
+    });
+  });
+
+  describe('collapsed sections', () => {
+    const collapseOpts = {
+      usePermalinks: true,
+      sortBy: { '/blog/': '-date' },
+      collapse: { '/blog/': { childLimit: 3, moreLabel: 'All posts' } }
+    };
+
+    it('should keep the first children of a section and link the rest through a more item', async () => {
+      const ms = Metalsmith(fixture('collapse')).use(navigationPlugin(collapseOpts));
+      await ms.process();
+      const blog = ms.metadata().navigation.find((item) => item.path === '/blog/');
+
+      assert.deepStrictEqual(
+        blog.children.map((item) => [item.title, item.path]),
+        [
+          ['Post 6', '/blog/post-6/'],
+          ['Post 5', '/blog/post-5/'],
+          ['Post 4', '/blog/post-4/'],
+          ['All posts', '/blog/']
+        ]
+      );
+      assert.strictEqual(blog.children[3].more, 3, 'The more item should count the hidden children');
+      assert.deepStrictEqual(Object.keys(blog.children[3]), ['title', 'path', 'navIndex', 'children']);
+    });
+
+    it('should collapse directory keys without permalinks', async () => {
+      const ms = Metalsmith(fixture('collapse')).use(navigationPlugin({ ...collapseOpts, usePermalinks: false }));
+      await ms.process();
+      const blog = ms.metadata().navigation.find((item) => item.path === '/blog/index.html');
+
+      assert.deepStrictEqual(
+        blog.children.map((item) => [item.title, item.path]),
+        [
+          ['Post 6', '/blog/post-6.html'],
+          ['Post 5', '/blog/post-5.html'],
+          ['Post 4', '/blog/post-4.html'],
+          ['All posts', '/blog/index.html']
+        ]
+      );
+      assert.strictEqual(blog.children[3].more, 3);
+    });
+
+    it('should link the more item of a section label to the first hidden child', async () => {
+      const ms = Metalsmith(fixture('missing-index-root')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          missingIndex: 'no-link',
+          collapse: { '/guides/': 1 },
+          renderHtml: true
+        })
+      );
+      const files = await ms.process();
+      const guides = ms.metadata().navigation.find((item) => item.title === 'guides');
+
+      assert.strictEqual(guides.path, null);
+      assert.deepStrictEqual(
+        guides.children.map((item) => [item.title, item.path]),
+        [
+          ['Basics', '/guides/basics/'],
+          ['More', '/guides/intro/']
+        ]
+      );
+      assert.ok(
+        files['index.html'].navigation.menuHtml.includes('<a class="menu__link" href="/guides/intro/">More</a>')
+      );
+    });
+
+    it('should leave breadcrumbs and previous/next links on the full list', async () => {
+      const ms = Metalsmith(fixture('collapse')).use(navigationPlugin({ ...collapseOpts, prevNext: 'section' }));
+      const files = await ms.process();
+      const oldest = files['blog/post-1.html'].navigation;
+
+      assert.deepStrictEqual(
+        oldest.breadcrumbs.map((crumb) => crumb.path),
+        ['/', '/blog/', '/blog/post-1/']
+      );
+      assert.strictEqual(oldest.prev.path, '/blog/post-2/');
+      assert.strictEqual(files['blog/post-3.html'].navigation.next.path, '/blog/post-2/');
+    });
+
+    it('should collapse per-page copies, named menus and rendered menus', async () => {
+      const ms = Metalsmith(fixture('collapse')).use(
+        navigationPlugin({
+          ...collapseOpts,
+          activeTrail: true,
+          localNavigation: true,
+          renderHtml: true,
+          menus: { footer: { collapse: { '/blog/': 1 } } }
+        })
+      );
+      const files = await ms.process();
+      const page = files['blog/post-1.html'].navigation;
+      const blog = page.tree.find((item) => item.path === '/blog/');
+
+      assert.strictEqual(blog.children.length, 4);
+      assert.strictEqual(blog.isInActiveTrail, true, 'A section should stay in the trail of its collapsed pages');
+      assert.strictEqual(page.section.children.length, 4);
+      assert.deepStrictEqual(
+        ms
+          .metadata()
+          .footer.find((item) => item.path === '/blog/')
+          .children.map((item) => item.title),
+        ['Post 6', 'More']
+      );
+      const html = files['blog/index.html'].navigation.menuHtml;
+      assert.strictEqual(html.match(/aria-current/g).length, 1, 'The more item should never be the current page');
+    });
+
+    it('should leave sections within their childLimit alone', async () => {
+      const ms = Metalsmith(fixture('collapse')).use(navigationPlugin({ ...collapseOpts, collapse: { '/blog/': 6 } }));
+      await ms.process();
+      const blog = ms.metadata().navigation.find((item) => item.path === '/blog/');
+
+      assert.strictEqual(blog.children.length, 6);
+      assert.ok(!blog.children.some((item) => item.more));
+    });
+  });
+
+  describe('item fields', () => {
+    it('should copy whitelisted frontmatter onto items, directories reading their paired file', async () => {
+      const ms = Metalsmith(fixture('item-fields')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          basePath: '/v3/',
+          fields: ['navigation.icon', 'description', 'badge', 'date', 'tags'],
+          menus: { footer: {} }
+        })
+      );
+      await ms.process();
+      const [home, docs, guides] = ms.metadata().navigation;
+
+      assert.deepStrictEqual(home, {
+        title: 'Home',
+        path: '/v3/',
+        navIndex: null,
+        children: [],
+        icon: 'house',
+        description: 'Start here'
+      });
+      assert.strictEqual(docs.icon, 'book');
+      assert.strictEqual(docs.badge, 'New');
+      assert.deepStrictEqual(docs.children[0].tags, ['install', 'cli']);
+      assert.ok(docs.children[0].date instanceof Date);
+      assert.deepStrictEqual(Object.keys(guides), ['title', 'path', 'navIndex', 'children']);
+      assert.strictEqual(guides.children[0].description, 'The basics');
+      assert.strictEqual(ms.metadata().footer[1].icon, 'book', 'Menus should carry the fields too');
+    });
+
+    it('should keep frontmatter named like internal item data apart from it', async () => {
+      const ms = Metalsmith(fixture('item-fields'))
+        .use((files) => {
+          Object.assign(files['guides/intro.html'], { source: 'Wikipedia', section: 'intro' });
+          files['docs.html'].navigation.menus = ['footer'];
+        })
+        .use(
+          navigationPlugin({
+            usePermalinks: true,
+            fields: ['source', 'section'],
+            prevNext: 'tree',
+            menus: { footer: { optIn: true } }
+          })
+        );
+      const files = await ms.process();
+      const intro = ms.metadata().navigation[2].children[0];
+
+      assert.deepStrictEqual(intro, {
+        title: 'Intro',
+        path: '/guides/intro/',
+        navIndex: null,
+        children: [],
+        source: 'Wikipedia',
+        section: 'intro'
+      });
+      assert.deepStrictEqual(
+        ms.metadata().footer.map((item) => item.title),
+        ['Docs']
+      );
+      const page = files['guides/intro.html'].navigation;
+      assert.strictEqual(page.breadcrumbs.at(-1).title, 'Intro', 'The page should end its own breadcrumbs');
+      assert.strictEqual(page.prev.title, 'Setup', 'The page should stay in previous/next links');
+    });
+
+    it('should merge the result of a fields function', async () => {
+      const ms = Metalsmith(fixture('item-fields')).use(
+        navigationPlugin({
+          usePermalinks: true,
+          fields: (file, item) => ({ className: `nav-${item.title.toLowerCase()}`, hasBadge: Boolean(file.badge) })
+        })
+      );
+      await ms.process();
+      const docs = ms.metadata().navigation[1];
+
+      assert.strictEqual(docs.className, 'nav-docs');
+      assert.strictEqual(docs.hasBadge, true);
+      assert.strictEqual(docs.children[0].hasBadge, false);
+    });
+
+    it('should fail when a fields function returns a reserved key', async () => {
+      const ms = Metalsmith(fixture('item-fields')).use(navigationPlugin({ fields: () => ({ path: '/elsewhere/' }) }));
+
+      await assert.rejects(ms.process(), /fields function returned reserved key 'path' for 'index\.html'/);
+    });
+  });
+
+  describe('page visibility', () => {
+    const titles = (items) => items.flatMap((item) => [item.title, ...titles(item.children)]);
+
+    it('should lift the children of pages kept out of menus into their place', async () => {
+      const ms = Metalsmith(fixture('visibility')).use(
+        navigationPlugin({ usePermalinks: true, renderHtml: true, menus: { footer: {} } })
+      );
+      const files = await ms.process();
+      const { navigation, footer } = ms.metadata();
+
+      for (const menu of [navigation, footer]) {
+        const top = menu.map((item) => item.title);
+        assert.ok(!top.includes('Archive') && !top.includes('Secret'));
+        assert.ok(top.includes('Old post') && top.includes('Older post') && top.includes('Secret page'));
+        assert.ok(top.includes('Contact'), 'menuOnly pages should stay in menus');
+      }
+      assert.ok(!files['about.html'].navigation.menuHtml.includes('Archive'));
+    });
+
+    it('should keep breadcrumbOnly pages in breadcrumbs and skip menuOnly and hidden ones', async () => {
+      const ms = Metalsmith(fixture('visibility')).use(navigationPlugin({ usePermalinks: true }));
+      const files = await ms.process();
+      const crumbs = (path) => files[path].navigation.breadcrumbs.map((crumb) => crumb.title);
+
+      assert.deepStrictEqual(crumbs('archive/old-post.html'), ['Home', 'Archive', 'Old post']);
+      assert.deepStrictEqual(crumbs('secret/page.html'), ['Home', 'Secret page']);
+      assert.deepStrictEqual(crumbs('secret/index.html'), ['Home', 'Secret'], 'A page should end its own breadcrumbs');
+      assert.deepStrictEqual(crumbs('contact.html'), ['Home', 'Contact']);
+    });
+
+    it('should follow visibility in previous/next links', async () => {
+      const ms = Metalsmith(fixture('visibility')).use(navigationPlugin({ usePermalinks: true, prevNext: 'tree' }));
+      const files = await ms.process();
+      const sequence = [];
+      for (let link = { path: '/' }; link; ) {
+        const path = Object.keys(files).find((key) => files[key].navigation.path === link.path);
+        sequence.push(files[path].title);
+        link = files[path].navigation.next;
+      }
+
+      assert.ok(sequence.includes('Archive'), 'breadcrumbOnly pages should stay in the sequence');
+      assert.ok(!sequence.includes('Contact') && !sequence.includes('Secret'));
+      assert.strictEqual(files['contact.html'].navigation.prev, null);
+      assert.strictEqual(files['contact.html'].navigation.next, null);
+    });
+
+    it('should report unknown visibility values and treat them as visible', async () => {
+      const ms = Metalsmith(fixture('visibility')).use(navigationPlugin({ validate: true }));
+      await ms.process();
+
+      assert.ok(titles(ms.metadata().navigation).includes('Odd'));
+      assert.deepStrictEqual(ms.metadata().navigationDiagnostics, [
+        {
+          type: 'invalid-visibility',
+          path: 'odd.html',
+          message: '\'odd.html\' has an unknown navigation.visibility ("sometimes"), so it is treated as visible'
+        }
+      ]);
+    });
+  });
+
+  describe('per-file outputs', () => {
+    it('should write outputs under fileKey and urlKey', async () => {
+      const ms = Metalsmith(fixture('file-outputs')).use(navigationPlugin({ fileKey: 'nav', urlKey: 'href' }));
+      const files = await ms.process();
+      const about = files['about.html'];
+
+      assert.strictEqual(about.nav.path, '/about.html');
+      assert.deepStrictEqual(
+        about.nav.breadcrumbs.map((crumb) => crumb.title),
+        ['Home', 'About us'],
+        'Frontmatter settings should still be read from navigation'
+      );
+      assert.strictEqual(about.href, '/about.html');
+      assert.deepStrictEqual(about.navigation, { navLabel: 'About us', path: '/custom/', theme: 'dark' });
+      assert.strictEqual(about.urlPath, '/legacy-about');
+    });
+
+    it('should skip the outputs turned off in fileOutputs', async () => {
+      const ms = Metalsmith(fixture('file-outputs')).use(
+        navigationPlugin({ fileOutputs: { path: false, breadcrumbs: false, urlPath: false }, renderHtml: true })
+      );
+      const files = await ms.process();
+      const post = files['blog/post.html'];
+
+      assert.strictEqual(post.urlPath, undefined);
+      assert.ok(!('path' in post.navigation) && !('breadcrumbs' in post.navigation));
+      assert.ok(
+        post.navigation.breadcrumbsHtml.includes('href="/blog/post.html" aria-current="page"'),
+        'Rendered HTML should not depend on the outputs it used to read'
+      );
+    });
+
+    it('should overwrite fields set in frontmatter by default', async () => {
+      const ms = Metalsmith(fixture('file-outputs')).use(navigationPlugin({}));
+      const files = await ms.process();
+
+      assert.strictEqual(files['about.html'].navigation.path, '/about.html');
+      assert.strictEqual(files['about.html'].urlPath, '/about.html');
+      assert.strictEqual(files['about.html'].navigation.theme, 'dark');
+    });
+
+    it('should keep fields set in frontmatter with onCollision preserve', async () => {
+      const ms = Metalsmith(fixture('file-outputs')).use(navigationPlugin({ onCollision: 'preserve' }));
+      const files = await ms.process();
+
+      assert.strictEqual(files['about.html'].navigation.path, '/custom/');
+      assert.strictEqual(files['about.html'].urlPath, '/legacy-about');
+      assert.strictEqual(files['about.html'].navigation.breadcrumbs.length, 2, 'Unset fields should still be written');
+      assert.strictEqual(files['blog/post.html'].navigation.path, '/blog/post.html');
+    });
+
+    it('should fail on fields set in frontmatter with onCollision error', async () => {
+      const ms = Metalsmith(fixture('file-outputs')).use(navigationPlugin({ onCollision: 'error' }));
+      await assert.rejects(ms.process(), /'about\.html' already sets 'urlPath'/);
+    });
+  });
+
+  describe('incremental rebuilds', () => {
+    // Builds the same pipeline twice, as watch mode does, editing the files before the second build
+    const rebuild = async (edit, options = {}) => {
+      let run = 0;
+      const ms = Metalsmith(fixture('collapse'))
+        .use((files) => {
+          if (run++ > 0) {
+            edit(files);
+          }
+        })
+        .use(navigationPlugin({ incremental: true, ...options }));
+      const first = await ms.process();
+      const firstNavigation = ms.metadata().navigation;
+      const second = await ms.process();
+      return { first, second, firstNavigation, navigation: ms.metadata().navigation };
+    };
+
+    it('should reuse the navigation when only page bodies change', async () => {
+      const { first, second, firstNavigation, navigation } = await rebuild(
+        (files) => {
+          files['blog/post-1.html'].contents = Buffer.from('<p>Edited</p>');
+        },
+        { usePermalinks: true, prevNext: 'tree', renderHtml: true }
+      );
+
+      assert.strictEqual(navigation, firstNavigation, 'The previous navigation should be reused');
+      const post = second['blog/post-1.html'];
+      assert.notStrictEqual(post, first['blog/post-1.html']);
+      assert.deepStrictEqual(post.navigation.breadcrumbs, first['blog/post-1.html'].navigation.breadcrumbs);
+      assert.deepStrictEqual(post.navigation.prev, first['blog/post-1.html'].navigation.prev);
+      assert.strictEqual(post.urlPath, '/blog/post-1/');
+      assert.ok(post.navigation.menuHtml.includes('aria-current="page"'));
+    });
+
+    it('should rebuild when navigation frontmatter changes', async () => {
+      const { second, firstNavigation, navigation } = await rebuild((files) => {
+        files['about.html'].navigation = { navLabel: 'About us' };
+      });
+
+      assert.notStrictEqual(navigation, firstNavigation);
+      assert.ok(navigation.some((item) => item.title === 'About us'));
+      assert.strictEqual(second['about.html'].navigation.breadcrumbs[1].title, 'About us');
+    });
+
+    it('should only work out breadcrumbs again for pages that show a renamed page', async () => {
+      const { first, second, firstNavigation, navigation } = await rebuild((files) => {
+        files['blog/index.html'].title = 'Journal';
+      });
+
+      assert.notStrictEqual(navigation, firstNavigation);
+      assert.deepStrictEqual(
+        second['blog/post-1.html'].navigation.breadcrumbs.map((crumb) => crumb.title),
+        ['Home', 'Journal', 'Post 1']
+      );
+      assert.strictEqual(
+        second['about.html'].navigation.breadcrumbs,
+        first['about.html'].navigation.breadcrumbs,
+        'Breadcrumbs without the renamed page should be kept'
+      );
+    });
+
+    it('should work out every breadcrumb again when the tree changes shape', async () => {
+      const { first, second } = await rebuild((files) => {
+        files['about.html'].navigation = { parent: '/blog/' };
+      });
+
+      assert.notStrictEqual(second['index.html'].navigation.breadcrumbs, first['index.html'].navigation.breadcrumbs);
+      assert.deepStrictEqual(
+        second['about.html'].navigation.breadcrumbs.map((crumb) => crumb.title),
+        ['Home', 'Blog', 'About']
+      );
+    });
+
+    it('should never reuse a build whose rules read the time', async (t) => {
+      t.mock.timers.enable({ apis: ['Date'], now: new Date('2024-06-01').getTime() });
+      const scheduled = new Date('2024-07-01');
+      const ms = Metalsmith(fixture('collapse'))
+        .use((files) => {
+          files['blog/post-6.html'].date = scheduled;
+        })
+        .use(navigationPlugin({ incremental: true, navExcludePatterns: [{ date: { after: 'now' } }] }));
+      const titles = () =>
+        ms
+          .metadata()
+          .navigation.find((item) => item.title === 'Blog')
+          .children.map((item) => item.title);
+
+      await ms.process();
+      assert.ok(!titles().includes('Post 6'), 'The scheduled post should be hidden before its date');
+      t.mock.timers.setTime(new Date('2024-08-01').getTime());
+      await ms.process();
+      assert.ok(titles().includes('Post 6'), 'The scheduled post should show once its date has passed');
+    });
+
+    it('should rebuild when the set of pages changes', async () => {
+      const { navigation } = await rebuild((files) => {
+        delete files['about.html'];
+      });
+
+      assert.ok(!navigation.some((item) => item.title === 'About'));
+    });
+
+    it('should track fields named in the options and incremental.fields', async () => {
+      const byWeight = (a, b) => a.weight - b.weight;
+      const edit = (files) => {
+        files['blog/post-2.html'].date = new Date('2023-01-01');
+        files['about.html'].weight = 1;
+      };
+      const sorted = await rebuild(edit, { sortBy: '-date' });
+      const blog = sorted.navigation.find((item) => item.title === 'Blog');
+      assert.strictEqual(blog.children.at(-1).title, 'Post 2', 'A sort key should be part of the signature');
+
+      const tracked = await rebuild(edit, { sortBy: byWeight, incremental: { fields: ['weight'] } });
+      assert.notStrictEqual(tracked.navigation, tracked.firstNavigation);
+      const untracked = await rebuild(edit, { sortBy: byWeight });
+      assert.strictEqual(untracked.navigation, untracked.firstNavigation, 'Function options are not inspected');
+    });
+  });
+
   describe('option validation', () => {
     const cases = [
       { name: 'non-string metadataKey', opts: { metadataKey: 42 }, match: /metadataKey/ },
       { name: 'empty metadataKey', opts: { metadataKey: '' }, match: /metadataKey/ },
       { name: 'non-boolean usePermalinks', opts: { usePermalinks: 'yes' }, match: /usePermalinks/ },
-      { name: 'non-function sortBy', opts: { sortBy: 'title' }, match: /sortBy/ },
+      { name: 'empty fileKey', opts: { fileKey: '' }, match: /fileKey/ },
+      { name: 'urlKey equal to fileKey', opts: { urlKey: 'navigation' }, match: /'fileKey' and 'urlKey'/ },
+      { name: 'unknown fileOutputs entry', opts: { fileOutputs: { tree: false } }, match: /fileOutputs/ },
+      { name: 'non-boolean fileOutputs entry', opts: { fileOutputs: { path: 'no' } }, match: /fileOutputs\.path/ },
+      { name: 'unknown onCollision policy', opts: { onCollision: 'merge' }, match: /onCollision/ },
+      { name: 'string incremental', opts: { incremental: 'yes' }, match: /incremental/ },
+      {
+        name: 'non-array incremental fields',
+        opts: { incremental: { fields: 'weight' } },
+        match: /incremental\.fields/
+      },
+      { name: 'numeric sortBy', opts: { sortBy: 42 }, match: /sortBy/ },
+      { name: 'empty sort key', opts: { sortBy: ['title', ''] }, match: /sortBy/ },
+      { name: 'sortBy map with a bad rule', opts: { sortBy: { '*': true } }, match: /sortBy/ },
+      { name: 'empty sortLocale', opts: { sortLocale: '' }, match: /sortLocale/ },
       {
         name: 'non-array navExcludePatterns',
         opts: { navExcludePatterns: 'special-case.html' },
@@ -437,7 +2225,124 @@ describe('Metalsmith Menu Plugin', () => {
       { name: 'array navIndex', opts: { navIndex: [] }, match: /navIndex/ },
       { name: 'null navIndex', opts: { navIndex: null }, match: /navIndex/ },
       { name: 'non-string rootPath', opts: { rootPath: 5 }, match: /rootPath/ },
-      { name: 'rootPath without leading slash', opts: { rootPath: 'blog/' }, match: /rootPath/ }
+      { name: 'rootPath without leading slash', opts: { rootPath: 'blog/' }, match: /rootPath/ },
+      { name: 'non-boolean activeTrail', opts: { activeTrail: 'yes' }, match: /activeTrail/ },
+      { name: 'relative basePath', opts: { basePath: 'docs/' }, match: /basePath/ },
+      { name: 'zero maxDepth', opts: { maxDepth: 0 }, match: /maxDepth/ },
+      { name: 'string localNavigation', opts: { localNavigation: 'docs' }, match: /localNavigation/ },
+      { name: 'fractional localNavigation level', opts: { localNavigation: { level: 1.5 } }, match: /level/ },
+      { name: 'negative localNavigation maxDepth', opts: { localNavigation: { maxDepth: -1 } }, match: /maxDepth/ },
+      { name: 'unknown prevNext mode', opts: { prevNext: 'siblings' }, match: /prevNext/ },
+      { name: 'empty emitJson filename', opts: { emitJson: { filename: '' } }, match: /emitJson\.filename/ },
+      { name: 'non-array emitJson fields', opts: { emitJson: { fields: 'title' } }, match: /emitJson\.fields/ },
+      { name: 'non-boolean strict', opts: { strict: 'yes' }, match: /strict/ },
+      { name: 'empty validate metadataKey', opts: { validate: { metadataKey: '' } }, match: /validate\.metadataKey/ },
+      { name: 'unknown missingIndex strategy', opts: { missingIndex: 'redirect' }, match: /missingIndex/ },
+      { name: 'non-string section label', opts: { sectionLabels: { '/guides/': 1 } }, match: /sectionLabels/ },
+      { name: 'unknown titleFallback transform', opts: { titleFallback: ['kebabCase'] }, match: /titleFallback/ },
+      {
+        name: 'non-boolean numericPrefixes.stripFromUrl',
+        opts: { numericPrefixes: { stripFromUrl: 'yes' } },
+        match: /numericPrefixes\.stripFromUrl/
+      },
+      {
+        name: 'numeric navExcludePatterns rule',
+        opts: { navExcludePatterns: [42] },
+        match: /navExcludePatterns\[0\]/
+      },
+      {
+        name: 'empty array condition',
+        opts: { navExcludePatterns: [{ tags: [] }] },
+        match: /navExcludePatterns\[0\]\.tags/
+      },
+      {
+        name: 'operator inside an array condition',
+        opts: { navExcludePatterns: [{ date: [{ after: 'now' }] }] },
+        match: /navExcludePatterns\[0\]\.date/
+      },
+      {
+        name: 'unknown frontmatter condition operator',
+        opts: { navIncludePatterns: [{ date: { since: 'now' } }] },
+        match: /navIncludePatterns\[0\]\.date/
+      },
+      {
+        name: 'non-boolean exists condition',
+        opts: { navExcludePatterns: [{ date: { exists: 'yes' } }] },
+        match: /exists' must be a boolean/
+      },
+      { name: 'empty pattern', opts: { pattern: [] }, match: /pattern/ },
+      { name: 'non-string pattern', opts: { pattern: /\.md$/ }, match: /pattern/ },
+      { name: 'extensionMap without dots', opts: { extensionMap: { md: 'html' } }, match: /extensionMap/ },
+      { name: 'array collapse', opts: { collapse: ['/blog/'] }, match: /collapse/ },
+      { name: 'zero collapse childLimit', opts: { collapse: { '/blog/': 0 } }, match: /collapse\['\/blog\/'\]/ },
+      {
+        name: 'empty collapse moreLabel',
+        opts: { collapse: { '/blog/': { childLimit: 5, moreLabel: '' } } },
+        match: /moreLabel/
+      },
+      {
+        name: 'menu with array collapse',
+        opts: { menus: { footer: { collapse: [] } } },
+        match: /menus\.footer\.collapse/
+      },
+      { name: 'string fields', opts: { fields: 'icon' }, match: /fields/ },
+      { name: 'fields setting a reserved key', opts: { fields: ['seo.title'] }, match: /reserved key 'title'/ },
+      { name: 'fields setting a key twice', opts: { fields: ['icon', 'navigation.icon'] }, match: /more than once/ },
+      { name: 'string renderHtml', opts: { renderHtml: 'menu' }, match: /renderHtml/ },
+      {
+        name: 'renderHtml menu with zero maxDepth',
+        opts: { renderHtml: { menu: { maxDepth: 0 } } },
+        match: /renderHtml\.menu\.maxDepth/
+      },
+      {
+        name: 'renderHtml breadcrumbs with empty ariaLabel',
+        opts: { renderHtml: { breadcrumbs: { ariaLabel: '' } } },
+        match: /renderHtml\.breadcrumbs\.ariaLabel/
+      },
+      { name: 'non-array extraItems', opts: { extraItems: {} }, match: /extraItems/ },
+      { name: 'extra item without url', opts: { extraItems: [{ title: 'X' }] }, match: /extraItems\[0\]\.url/ },
+      {
+        name: 'extra item with relative parent',
+        opts: { extraItems: [{ title: 'X', url: '/x/', parent: 'docs/' }] },
+        match: /extraItems\[0\]\.parent/
+      },
+      { name: 'i18n without locales', opts: { i18n: {} }, match: /i18n\.locales/ },
+      {
+        name: 'i18n defaultLocale outside locales',
+        opts: { i18n: { locales: ['en'], defaultLocale: 'de' } },
+        match: /i18n\.defaultLocale/
+      },
+      { name: 'relative siteUrl', opts: { siteUrl: 'example.com' }, match: /siteUrl/ },
+      { name: 'sitemap without siteUrl', opts: { sitemap: true }, match: /requires 'siteUrl'/ },
+      {
+        name: 'empty sitemap filename',
+        opts: { siteUrl: 'https://example.com', sitemap: { filename: '' } },
+        match: /sitemap\.filename/
+      },
+      { name: 'breadcrumbsJsonLd without siteUrl', opts: { breadcrumbsJsonLd: true }, match: /requires 'siteUrl'/ },
+      {
+        name: 'unknown breadcrumbsJsonLd mode',
+        opts: { siteUrl: 'https://example.com', breadcrumbsJsonLd: 'head' },
+        match: /breadcrumbsJsonLd/
+      },
+      { name: 'array menus', opts: { menus: [] }, match: /menus/ },
+      { name: 'non-object menu', opts: { menus: { footer: true } }, match: /menus\.footer/ },
+      {
+        name: 'menu with bad rootPath',
+        opts: { menus: { footer: { rootPath: 'x' } } },
+        match: /menus\.footer\.rootPath/
+      },
+      {
+        name: 'menu with zero maxDepth',
+        opts: { menus: { footer: { maxDepth: 0 } } },
+        match: /menus\.footer\.maxDepth/
+      },
+      { name: 'menu with non-boolean optIn', opts: { menus: { footer: { optIn: 1 } } }, match: /menus\.footer\.optIn/ },
+      {
+        name: 'menu metadata key that clashes with metadataKey',
+        opts: { menus: { footer: { metadataKey: 'navigation' } } },
+        match: /already taken/
+      }
     ];
 
     for (const { name, opts, match } of cases) {